@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+// release-man check: runs the web app's release checks (ReleaseChecks in script.js) from a terminal or CI job
+const { parseArgs } = require("node:util");
+const {
+  DEFAULT_MAX_RELEASE_PAGES,
+  DEFAULT_PROFILE_ID,
+  DEFAULT_RELEASE_STEPS,
+  RELEASE_PROFILES,
+  GitHubAPI,
+  ServerUtils,
+  ProfileUtils,
+  VersionUtils,
+  ReleaseChecks,
+} = require("../script.js");
+
+const USAGE = `Usage: release-man check <owner/repo> [options]
+
+Runs the release checks of the web app for one release and exits non-zero when a required check fails.
+
+Options:
+  --target <version>  Release version (default: next patch after the latest stable release)
+  --from <tag>        Pre-release being promoted (default: the latest pre-release)
+  --profile <id>      Release profile: ${Object.keys(RELEASE_PROFILES).join(", ")} (default: ${DEFAULT_PROFILE_ID})
+  --skip <step>       Leave a step out, e.g. --skip github-release before publishing (repeatable)
+  --server <url>      GitHub Enterprise Server URL
+  --api <url>         API URL, when it differs from the one derived from --server
+  --json              Print the report as JSON
+  -h, --help          Show this help
+
+The token is read from GITHUB_TOKEN or GH_TOKEN.
+Exit codes: 0 ready (pending CI checks don't fail), 1 a required check failed or could not run,
+2 bad arguments or the repository could not be loaded.`;
+
+const ICONS = { success: "✅", danger: "❌", pending: "⏳", error: "⚠️" };
+const CI_ICONS = { success: "✅", failure: "❌", pending: "⏳" };
+// Worst first: a step takes the state of its worst check
+const STATE_ORDER = ["error", "danger", "pending", "success"];
+
+class UsageError extends Error {}
+
+function parseOptions(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        target: { type: "string" },
+        from: { type: "string" },
+        profile: { type: "string", default: DEFAULT_PROFILE_ID },
+        skip: { type: "string", multiple: true, default: [] },
+        server: { type: "string" },
+        api: { type: "string" },
+        json: { type: "boolean", default: false },
+        help: { type: "boolean", short: "h", default: false },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  const [command, repoInput, ...extra] = positionals;
+  if (values.help) {
+    return { help: true };
+  }
+  if (command !== "check" || !repoInput || extra.length) {
+    throw new UsageError("Expected: release-man check <owner/repo>");
+  }
+  if (!RELEASE_PROFILES[values.profile]) {
+    throw new UsageError(`Unknown profile "${values.profile}"`);
+  }
+  if (values.target && !VersionUtils.isValidSemver(values.target)) {
+    throw new UsageError(`--target ${values.target} is not a valid version`);
+  }
+  const unknownSteps = values.skip.filter((id) => !DEFAULT_RELEASE_STEPS.some((step) => step.id === id));
+  if (unknownSteps.length) {
+    throw new UsageError(`Unknown step(s) to skip: ${unknownSteps.join(", ")}`);
+  }
+
+  const { owner, repo, server } = ServerUtils.parseRepoInput(repoInput);
+  if (!owner || !repo) {
+    throw new UsageError("Please use format: owner/repo or a repository URL");
+  }
+  return { ...values, owner, repo, server: server || ServerUtils.resolve(values.server, values.api) };
+}
+
+// Resolves to the report as plain JSON: the profile's checklist steps with { state, text, url } per check
+async function check(options, { transport, token }) {
+  const { owner, repo, server } = options;
+  const profile = ProfileUtils.get(options.profile);
+  const api = new GitHubAPI(token, server.apiURL, transport);
+  const releases = await api.getReleases(owner, repo, DEFAULT_MAX_RELEASE_PAGES);
+
+  // Same defaults as the web app: the next patch of the latest stable release, promoted from the latest pre-release
+  const profileReleases = ProfileUtils.sortedReleases(profile, releases);
+  const latestRelease = profileReleases.find((release) => !release.prerelease);
+  const latestPrerelease = profileReleases.find((release) => release.prerelease);
+  const version = options.target || (latestRelease && ProfileUtils.nextPatchVersion(profile, latestRelease.tag_name));
+  if (!version) {
+    throw new UsageError(`No ${profile.name} release to patch yet; pass --target`);
+  }
+  const from = options.from !== undefined ? options.from : latestPrerelease ? latestPrerelease.tag_name : "";
+
+  const checks = new ReleaseChecks(api, { owner, repo, profile, webURL: server.webURL });
+  const report = await checks.runRelease(version, { from, releases });
+
+  const steps = ProfileUtils.releaseSteps(profile)
+    .filter((step) => !options.skip.includes(step.id))
+    .map((step) => {
+      const results = report.checks[step.id];
+      // Steps without an automated check are listed but never fail the run
+      if (!results) {
+        const state = step.manual ? "manual" : "unchecked";
+        return { id: step.id, title: step.title, state, checks: [] };
+      }
+      return {
+        id: step.id,
+        title: step.title,
+        state: STATE_ORDER.find((state) => results.some((result) => result.state === state)),
+        checks: results.map((result) => ({
+          state: result.state,
+          text: ReleaseChecks.text(result),
+          url: result.link ? result.link.url : null,
+        })),
+        ...(step.id === "ci-status" ? { ciChecks: report.ci.checks } : {}),
+      };
+    });
+
+  return {
+    repository: `${owner}/${repo}`,
+    server: server.webURL,
+    profile: options.profile,
+    version,
+    tag: report.tagName,
+    branch: report.branchName,
+    base: report.base,
+    ok: !steps.some((step) => step.state === "danger" || step.state === "error"),
+    cherryPicks: report.cherryPicks && {
+      base: report.cherryPicks.base,
+      compareURL: report.cherryPicks.compareURL,
+      error: report.cherryPicks.error,
+      commits: report.cherryPicks.commits.map((commit) => ({
+        sha: commit.sha,
+        message: commit.commit.message.split("\n")[0],
+      })),
+    },
+    steps,
+  };
+}
+
+function formatReport(result) {
+  const profile = RELEASE_PROFILES[result.profile];
+  const lines = [
+    `${result.repository} · ${profile.name} · ${result.version}`,
+    `Branch ${result.branch} from ${result.base}, tag ${result.tag}`,
+  ];
+
+  result.steps.forEach((step) => {
+    lines.push("", step.title);
+    if (step.state === "manual") {
+      lines.push("  ☐ Manual step: sign it off in the web app");
+    } else if (step.state === "unchecked") {
+      lines.push("  · Not checked automatically");
+    }
+    step.checks.forEach((check) => lines.push(`  ${ICONS[check.state]} ${check.text}`));
+    (step.ciChecks || []).forEach((ci) => {
+      lines.push(`     ${CI_ICONS[ci.state]} ${ci.name} — ${ci.detail}${ci.required ? "" : " (not required)"}`);
+    });
+
+    if (step.id === "cherry-pick" && result.cherryPicks) {
+      const { base, commits, error } = result.cherryPicks;
+      lines.push(`  Commits on ${result.branch} that aren't in ${base}:`);
+      if (error) {
+        lines.push(`    ⚠️ ${error}`);
+      } else if (commits.length === 0) {
+        lines.push("    None");
+      }
+      commits.forEach((commit) => lines.push(`    ${commit.sha.substring(0, 7)} ${commit.message}`));
+    }
+  });
+
+  const failing = result.steps.filter((step) => step.state === "danger" || step.state === "error");
+  const pending = result.steps.filter((step) => step.state === "pending");
+  lines.push("");
+  if (failing.length) {
+    lines.push(`❌ Not ready: ${failing.map((step) => step.title).join(", ")}`);
+  } else {
+    lines.push(pending.length ? `⏳ Ready once ${pending.map((step) => step.title).join(", ")} settles` : "✅ Ready");
+  }
+  return lines.join("\n");
+}
+
+// Resolves to the exit code; transport replaces fetch (see GitHubAPI)
+async function main(argv, { transport, env = process.env, stdout = process.stdout, stderr = process.stderr } = {}) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (options.help) {
+    stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  let result;
+  try {
+    result = await check(options, { transport, token: env.GITHUB_TOKEN || env.GH_TOKEN || null });
+  } catch (error) {
+    stderr.write(`release-man: could not check ${options.owner}/${options.repo}: ${error.message}\n`);
+    return 2;
+  }
+
+  stdout.write(`${options.json ? JSON.stringify(result, null, 2) : formatReport(result)}\n`);
+  return result.ok ? 0 : 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,420 @@
+// Fixture-backed fake of the GitHub REST API. Its transport stands in for fetch in GitHubAPI, so the test suite
+// and demo mode run the real release flow without a network.
+class FakeGitHub {
+  // fixtures: { "owner/repo": { repo, branches, tags, files, releases, commits, compare, statuses, checkRuns,
+  //   protection, pulls } }
+  //   branches/tags: { name: sha }            files: { branchOrTag: { path: text } }
+  //   commits: { sha: message }               compare: { "base...head": comparison }
+  //   statuses: { sha: combinedStatus }       checkRuns: { sha: [checkRun] }
+  //   protection: { branch: { required_status_checks: { contexts } } }, returned with the branch
+  //   latest: tag of the release marked latest (default: the newest published stable release)
+  // Everything except repo is optional; writes (branches, file updates, releases) only change this instance.
+  constructor(fixtures) {
+    this.repos = JSON.parse(JSON.stringify(fixtures));
+    this.requests = [];
+    this.failures = [];
+    this.nextSha = 1;
+    this.transport = (url, init) => this.handle(url, init);
+  }
+
+  // Requests whose URL matches pattern get status back; a null status throws like fetch does when offline
+  fail(pattern, status = 500) {
+    this.failures.push({ pattern, status });
+  }
+
+  async handle(url, { method = "GET", headers = {}, body } = {}) {
+    this.requests.push({ method, url, headers });
+    const failure = this.failures.find(({ pattern }) => pattern.test(url));
+    if (failure && failure.status === null) {
+      throw new TypeError("Failed to fetch");
+    }
+    if (failure) {
+      return this.response(failure.status, { message: "Simulated failure" });
+    }
+
+    const { pathname, searchParams } = new URL(url);
+    const match = pathname.match(/\/repos\/([^/]+)\/([^/]+)(\/.*)?$/);
+    const repo = match && this.repos[`${match[1]}/${match[2]}`];
+    if (!repo) {
+      return this.response(404, { message: "Not Found" });
+    }
+
+    const path = decodeURIComponent(match[3] || "");
+    const [status, data] = this.route(repo, method, path, searchParams, body ? JSON.parse(body) : null);
+    return Array.isArray(data) && searchParams.has("per_page")
+      ? this.paginate(url, data, searchParams)
+      : this.response(status, data);
+  }
+
+  // Returns [status, data]
+  route(repo, method, path, params, body) {
+    let match;
+    if (path === "" && method === "GET") {
+      return [200, repo.repo];
+    }
+    if (path === "/releases" && method === "GET") {
+      return [200, repo.releases || []];
+    }
+    if (path === "/releases" && method === "POST") {
+      return this.createRelease(repo, body);
+    }
+    if (path === "/releases/latest" && method === "GET") {
+      return this.latestRelease(repo);
+    }
+    if ((match = path.match(/^\/releases\/(\d+)$/)) && method === "PATCH") {
+      return this.updateRelease(repo, Number(match[1]), body);
+    }
+    if (path === "/releases/generate-notes" && method === "POST") {
+      return [200, { name: body.tag_name, body: `## What's Changed\n\n**Full Changelog**: ${body.tag_name}` }];
+    }
+    if ((match = path.match(/^\/branches\/(.+)$/))) {
+      const sha = (repo.branches || {})[match[1]];
+      const protection = (repo.protection || {})[match[1]];
+      return sha ? [200, { name: match[1], commit: { sha }, ...(protection ? { protection } : {}) }] : this.notFound();
+    }
+    if (path === "/git/refs" && method === "POST") {
+      return this.createRef(repo, body);
+    }
+    if ((match = path.match(/^\/git\/ref\/(heads|tags)\/(.+)$/))) {
+      const sha = ((match[1] === "heads" ? repo.branches : repo.tags) || {})[match[2]];
+      return sha ? [200, { ref: `refs/${match[1]}/${match[2]}`, object: { sha, type: "commit" } }] : this.notFound();
+    }
+    if ((match = path.match(/^\/git\/matching-refs\/(heads|tags)\/(.*)$/))) {
+      const refs = (match[1] === "heads" ? repo.branches : repo.tags) || {};
+      return [
+        200,
+        Object.entries(refs)
+          .filter(([name]) => name.startsWith(match[2]))
+          .map(([name, sha]) => ({ ref: `refs/${match[1]}/${name}`, object: { sha, type: "commit" } })),
+      ];
+    }
+    if ((match = path.match(/^\/commits\/([^/]+)\/status$/))) {
+      const sha = this.resolve(repo, match[1]);
+      return sha ? [200, (repo.statuses || {})[sha] || { state: "pending", statuses: [] }] : this.notFound();
+    }
+    if ((match = path.match(/^\/commits\/([^/]+)\/check-runs$/))) {
+      const sha = this.resolve(repo, match[1]);
+      const checkRuns = (repo.checkRuns || {})[sha] || [];
+      return sha ? [200, { total_count: checkRuns.length, check_runs: checkRuns }] : this.notFound();
+    }
+    if ((match = path.match(/^\/commits\/([^/]+)\/pulls$/))) {
+      return [200, (repo.pulls || []).filter((pull) => pull.merge_commit_sha === match[1])];
+    }
+    if ((match = path.match(/^\/commits\/([^/]+)$/))) {
+      const sha = this.resolve(repo, match[1]);
+      const message = (repo.commits || {})[sha] || "Commit";
+      return sha ? [200, { sha, commit: { message }, parents: [] }] : this.notFound();
+    }
+    if ((match = path.match(/^\/compare\/(.+?)\.\.\.(.+)$/))) {
+      return this.compare(repo, match[1], match[2]);
+    }
+    if ((match = path.match(/^\/contents\/(.+)$/))) {
+      return method === "PUT"
+        ? this.updateFile(repo, match[1], body)
+        : this.getFile(repo, match[1], params.get("ref") || repo.repo.default_branch);
+    }
+    return this.notFound();
+  }
+
+  notFound() {
+    return [404, { message: "Not Found" }];
+  }
+
+  // Branch, tag or commit sha
+  resolve(repo, ref) {
+    const branches = repo.branches || {};
+    const tags = repo.tags || {};
+    if (branches[ref] || tags[ref]) {
+      return branches[ref] || tags[ref];
+    }
+    const known = [...Object.values(branches), ...Object.values(tags), ...Object.keys(repo.commits || {})];
+    return known.includes(ref) ? ref : null;
+  }
+
+  // Unlisted ranges between existing refs compare as identical
+  compare(repo, base, head) {
+    if (!this.resolve(repo, base) || !this.resolve(repo, head)) {
+      return this.notFound();
+    }
+    const comparison = (repo.compare || {})[`${base}...${head}`];
+    return [
+      200,
+      comparison || { status: "identical", ahead_by: 0, behind_by: 0, total_commits: 0, commits: [], files: [] },
+    ];
+  }
+
+  getFile(repo, path, ref) {
+    const text = ((repo.files || {})[ref] || {})[path];
+    if (text === undefined) {
+      return this.notFound();
+    }
+    return [200, { path, sha: this.fileSha(text), encoding: "base64", content: this.encode(text) }];
+  }
+
+  updateFile(repo, path, { content, sha, branch, message }) {
+    const files = (repo.files || {})[branch];
+    if (!files || !repo.branches[branch]) {
+      return this.notFound();
+    }
+    if (files[path] !== undefined && this.fileSha(files[path]) !== sha) {
+      return [409, { message: `${path} does not match ${sha}` }];
+    }
+
+    files[path] = this.decode(content);
+    const commitSha = this.createSha();
+    repo.branches[branch] = commitSha;
+    repo.commits = { ...repo.commits, [commitSha]: message };
+    return [200, { content: { path, sha: this.fileSha(files[path]) }, commit: { sha: commitSha, message } }];
+  }
+
+  // New branches start with the files of the branch or tag they were created from
+  createRef(repo, { ref, sha }) {
+    const name = ref.replace(/^refs\/heads\//, "");
+    repo.branches = repo.branches || {};
+    if (repo.branches[name]) {
+      return [422, { message: "Reference already exists" }];
+    }
+    if (!this.resolve(repo, sha)) {
+      return [422, { message: "Object does not exist" }];
+    }
+
+    const source = [...Object.entries(repo.branches), ...Object.entries(repo.tags || {})].find(
+      ([, headSha]) => headSha === sha
+    );
+    repo.files = repo.files || {};
+    repo.files[name] = { ...(source ? repo.files[source[0]] : {}) };
+    repo.branches[name] = sha;
+    return [201, { ref, object: { sha, type: "commit" } }];
+  }
+
+  // Published releases tag their target, as GitHub does
+  createRelease(repo, release) {
+    repo.releases = repo.releases || [];
+    if (repo.releases.some((existing) => existing.tag_name === release.tag_name)) {
+      return [422, { message: "Validation Failed: tag_name already_exists" }];
+    }
+
+    const created = {
+      id: Math.max(0, ...repo.releases.map((existing) => existing.id || 0)) + 1,
+      tag_name: release.tag_name,
+      target_commitish: release.target_commitish,
+      name: release.name || release.tag_name,
+      body: release.body || "",
+      draft: !!release.draft,
+      prerelease: !!release.prerelease,
+      html_url: `https://github.com/${repo.repo.full_name}/releases/tag/${release.tag_name}`,
+      published_at: release.draft ? null : new Date().toISOString(),
+      author: { login: "demo" },
+      assets: [],
+    };
+    repo.releases.unshift(created);
+    if (!release.draft) {
+      repo.tags = { ...repo.tags, [release.tag_name]: this.resolve(repo, release.target_commitish) };
+    }
+    return [201, created];
+  }
+
+  latestRelease(repo) {
+    const stable = (repo.releases || []).filter((release) => !release.draft && !release.prerelease);
+    const marked = stable.find((release) => release.tag_name === repo.latest);
+    const newest = [...stable].sort((a, b) => new Date(b.published_at) - new Date(a.published_at))[0];
+    return marked || newest ? [200, marked || newest] : this.notFound();
+  }
+
+  // A demoted latest release drops out of latestRelease, which then falls back to the newest stable one
+  updateRelease(repo, id, { make_latest: makeLatest, ...changes }) {
+    const release = (repo.releases || []).find((candidate) => candidate.id === id);
+    if (!release) {
+      return this.notFound();
+    }
+
+    Object.assign(release, changes);
+    if (makeLatest === "true") {
+      repo.latest = release.tag_name;
+    }
+    return [200, release];
+  }
+
+  paginate(url, items, params) {
+    const perPage = parseInt(params.get("per_page"));
+    const page = parseInt(params.get("page")) || 1;
+    const headers = {};
+    if (page * perPage < items.length) {
+      const next = new URL(url);
+      next.searchParams.set("page", page + 1);
+      headers.Link = `<${next}>; rel="next"`;
+    }
+    return this.response(200, items.slice((page - 1) * perPage, page * perPage), headers);
+  }
+
+  response(status, data, headers = {}) {
+    const values = new Map(
+      Object.entries({
+        "X-RateLimit-Limit": "5000",
+        "X-RateLimit-Remaining": String(Math.max(0, 5000 - this.requests.length)),
+        "X-RateLimit-Reset": String(Math.floor(Date.now() / 1000) + 3600),
+        ...headers,
+      }).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      statusText: status < 300 ? "OK" : data.message,
+      headers: { get: (name) => (values.has(name.toLowerCase()) ? values.get(name.toLowerCase()) : null) },
+      json: async () => JSON.parse(JSON.stringify(data)),
+    };
+  }
+
+  createSha() {
+    return `${this.nextSha++}`.padStart(40, "f");
+  }
+
+  fileSha(text) {
+    let hash = 0;
+    for (const char of text) {
+      hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    }
+    return hash.toString(16).padStart(40, "0");
+  }
+
+  // Base64 of the UTF-8 bytes, like the contents API
+  encode(text) {
+    let binary = "";
+    new TextEncoder().encode(text).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  decode(content) {
+    return new TextDecoder().decode(Uint8Array.from(atob(content), (char) => char.charCodeAt(0)));
+  }
+}
+
+// Sample repository for demo mode: a VS Code extension with stable 1.2.x releases and 1.3.x pre-releases.
+// The next patch (v1.2.5) has no release branch yet, so the whole release flow can be walked through.
+const DEMO_REPO = "demo/continue";
+
+const DEMO_FIXTURES = (() => {
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const sha = (seed) => seed.padEnd(40, "0");
+  const platforms = ["linux-x64", "linux-arm64", "darwin-x64", "darwin-arm64", "win32-x64", "win32-arm64"];
+  const release = (tagName, days, prerelease) => {
+    const version = tagName.replace(/^v|-vscode$/g, "");
+    return {
+      id: days + 1,
+      tag_name: tagName,
+      name: tagName,
+      draft: false,
+      prerelease,
+      published_at: daysAgo(days),
+      html_url: `https://github.com/${DEMO_REPO}/releases/tag/${tagName}`,
+      author: { login: prerelease ? "alice" : "bob" },
+      assets: platforms.map((platform) => ({
+        name: `continue-${version}-${platform}.vsix`,
+        state: "uploaded",
+        size: 48 * 1024 * 1024,
+        download_count: days * 120,
+        browser_download_url: `https://github.com/${DEMO_REPO}/releases/download/${tagName}/continue-${version}-${platform}.vsix`,
+      })),
+    };
+  };
+  const packageFiles = (version) => ({
+    "extensions/vscode/package.json": `{\n  "name": "continue",\n  "version": "${version}"\n}\n`,
+    "extensions/vscode/package-lock.json": `{\n  "name": "continue",\n  "version": "${version}",\n  "packages": {\n    "": {\n      "version": "${version}"\n    }\n  }\n}\n`,
+  });
+  const commit = (message, login, days) => ({
+    sha: sha(`c${days}`),
+    author: { login },
+    parents: [{}],
+    commit: { message, author: { name: login, date: daysAgo(days) } },
+  });
+
+  const branches = {
+    main: sha("a1"),
+    "v1.3.x-vscode": sha("13c"),
+    "v1.2.4-vscode-release": sha("124"),
+  };
+  return {
+    [DEMO_REPO]: {
+      repo: { name: "continue", full_name: DEMO_REPO, default_branch: "main", private: false },
+      branches,
+      tags: {
+        "v1.3.1-vscode": branches["v1.3.x-vscode"],
+        "v1.3.0-vscode": sha("130"),
+        "v1.2.4-vscode": sha("124"),
+        "v1.2.3-vscode": sha("123"),
+        "v1.2.2-vscode": sha("122"),
+      },
+      files: {
+        main: packageFiles("1.4.0"),
+        "v1.3.x-vscode": packageFiles("1.3.1"),
+        "v1.2.4-vscode-release": packageFiles("1.2.4"),
+        "v1.2.3-vscode": packageFiles("1.2.3"),
+      },
+      releases: [
+        release("v1.3.1-vscode", 2, true),
+        release("v1.2.4-vscode", 6, false),
+        release("v1.3.0-vscode", 9, true),
+        release("v1.2.3-vscode", 16, false),
+        release("v1.2.2-vscode", 30, false),
+      ],
+      commits: {
+        [sha("418")]: "fix: autocomplete flicker on Windows (#418)",
+      },
+      compare: {
+        "v1.2.4-vscode...v1.3.1-vscode": {
+          status: "ahead",
+          ahead_by: 3,
+          behind_by: 0,
+          total_commits: 3,
+          commits: [
+            commit("feat: inline edit for notebooks (#412)", "alice", 8),
+            commit("fix: autocomplete flicker on Windows (#418)", "bob", 5),
+            commit("refactor!: drop the legacy config format (#421)", "alice", 3),
+          ],
+          files: [
+            { filename: "extensions/vscode/src/autocomplete.ts", additions: 24, deletions: 9 },
+            { filename: "extensions/vscode/src/notebooks.ts", additions: 130, deletions: 2 },
+            { filename: "core/config/load.ts", additions: 12, deletions: 88 },
+          ],
+        },
+      },
+      statuses: {
+        [branches["v1.3.x-vscode"]]: { state: "success", statuses: [] },
+      },
+      checkRuns: {
+        [branches["v1.3.x-vscode"]]: [
+          {
+            name: "build",
+            status: "completed",
+            conclusion: "success",
+            html_url: `https://github.com/${DEMO_REPO}/actions`,
+          },
+          {
+            name: "test",
+            status: "completed",
+            conclusion: "success",
+            html_url: `https://github.com/${DEMO_REPO}/actions`,
+          },
+        ],
+      },
+      pulls: [
+        {
+          number: 418,
+          title: "fix: autocomplete flicker on Windows",
+          merged_at: daysAgo(5),
+          merge_commit_sha: sha("418"),
+          base: { ref: "main" },
+          labels: [{ name: "bug" }],
+          html_url: `https://github.com/${DEMO_REPO}/pull/418`,
+        },
+      ],
+    },
+  };
+})();
+
+// Node (the test suite) loads this file with require
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { FakeGitHub, DEMO_REPO, DEMO_FIXTURES };
+}
@@ -1,352 +1,4036 @@
+// Preferences persisted in localStorage
+class Preferences {
+  static get(key, fallback = null) {
+    try {
+      const value = localStorage.getItem(`release-man:${key}`);
+      return value === null ? fallback : JSON.parse(value);
+    } catch {
+      return fallback;
+    }
+  }
+
+  static set(key, value) {
+    localStorage.setItem(`release-man:${key}`, JSON.stringify(value));
+  }
+}
+
+const DEFAULT_MAX_RELEASE_PAGES = 5;
+const CI_POLL_INTERVAL_MS = 30000;
+const MAX_ETAG_CACHE_ENTRIES = 200;
+const AUTO_REFRESH_INTERVALS = [30, 60, 120, 300];
+const DASHBOARD_CONCURRENCY = 3;
+const MAX_COMPARE_PAGES = 10;
+
+// Token persistence (localStorage, or sessionStorage for session-only tokens), one token per API origin so a token
+// is only ever sent to the server it was saved for
+const TOKEN_STORAGE_KEY = "release-man:github-token";
+
+class TokenStore {
+  static key(apiURL) {
+    return `${TOKEN_STORAGE_KEY}:${new URL(apiURL).origin}`;
+  }
+
+  // Tokens saved before they were kept per server belong to GitHub.com
+  static migrate() {
+    [localStorage, sessionStorage].forEach((storage) => {
+      const token = storage.getItem(TOKEN_STORAGE_KEY);
+      if (token) {
+        storage.setItem(this.key(DEFAULT_API_URL), token);
+        storage.removeItem(TOKEN_STORAGE_KEY);
+      }
+    });
+  }
+
+  static load(apiURL) {
+    const key = this.key(apiURL);
+    return localStorage.getItem(key) || sessionStorage.getItem(key);
+  }
+
+  static isSessionOnly(apiURL) {
+    const key = this.key(apiURL);
+    return !localStorage.getItem(key) && !!sessionStorage.getItem(key);
+  }
+
+  static save(apiURL, token, sessionOnly) {
+    this.clear(apiURL);
+    (sessionOnly ? sessionStorage : localStorage).setItem(this.key(apiURL), token);
+  }
+
+  static clear(apiURL) {
+    localStorage.removeItem(this.key(apiURL));
+    sessionStorage.removeItem(this.key(apiURL));
+  }
+}
+
+// GitHub.com or a GitHub Enterprise Server instance: { webURL, apiURL } without trailing slashes
+const DEFAULT_WEB_URL = "https://github.com";
+const DEFAULT_API_URL = "https://api.github.com";
+
+class ServerUtils {
+  static normalize(url) {
+    const trimmed = (url || "").trim().replace(/\/+$/, "");
+    if (!trimmed) {
+      return "";
+    }
+    return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+  }
+
+  // api.github.com, api.<tenant>.ghe.com and Enterprise Server's <host>/api/v3
+  static isApiURL(url) {
+    return /\/api\/v3$/.test(url) || /^https?:\/\/api\./i.test(url);
+  }
+
+  static apiFromWeb(webURL) {
+    if (webURL === DEFAULT_WEB_URL) {
+      return DEFAULT_API_URL;
+    }
+    if (/^https?:\/\/[^/]+\.ghe\.com$/i.test(webURL)) {
+      return webURL.replace(/^(https?:\/\/)/i, "$1api.");
+    }
+    return `${webURL}/api/v3`;
+  }
+
+  static webFromApi(apiURL) {
+    return /\/api\/v3$/.test(apiURL) ? apiURL.replace(/\/api\/v3$/, "") : apiURL.replace(/^(https?:\/\/)api\./i, "$1");
+  }
+
+  // Either field may be empty, and an API URL entered as the web URL is recognized
+  static resolve(webInput, apiInput = "") {
+    let webURL = this.normalize(webInput);
+    let apiURL = this.normalize(apiInput);
+    if (webURL && this.isApiURL(webURL)) {
+      apiURL = apiURL || webURL;
+      webURL = "";
+    }
+    webURL = webURL || (apiURL ? this.webFromApi(apiURL) : DEFAULT_WEB_URL);
+    apiURL = apiURL || this.apiFromWeb(webURL);
+    return { webURL, apiURL };
+  }
+
+  static isDefault(server) {
+    return server.webURL === DEFAULT_WEB_URL && server.apiURL === DEFAULT_API_URL;
+  }
+
+  // Accepts "owner/repo", web URLs (https://ghe.example.com/owner/repo/tree/main, .git clone URLs)
+  // and API URLs (https://ghe.example.com/api/v3/repos/owner/repo); server is null for plain "owner/repo"
+  static parseRepoInput(input) {
+    const value = input.trim();
+    if (!/^https?:\/\//i.test(value)) {
+      const [owner, repo] = value.split("/");
+      return { owner, repo, server: null };
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      return { owner: null, repo: null, server: null };
+    }
+    const apiMatch = url.pathname.match(/^(.*?)\/repos\/([^/]+)\/([^/]+)/);
+    if (apiMatch && (this.isApiURL(`${url.origin}${apiMatch[1]}`) || /^api\./i.test(url.host))) {
+      return { owner: apiMatch[2], repo: apiMatch[3], server: this.resolve("", `${url.origin}${apiMatch[1]}`) };
+    }
+
+    const [owner, repo] = url.pathname.split("/").filter(Boolean);
+    return { owner, repo: repo ? repo.replace(/\.git$/, "") : repo, server: this.resolve(url.origin) };
+  }
+}
+
+// GitHub API errors, so callers can tell "doesn't exist" apart from "couldn't find out"
+class GitHubAPIError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+  }
+}
+
+class NotFoundError extends GitHubAPIError {}
+
+// 401, or a 403 that isn't rate limiting (missing scope, SSO enforcement, private repo)
+class AuthError extends GitHubAPIError {}
+
+class RateLimitError extends GitHubAPIError {
+  constructor(message, status, reset = null) {
+    super(message, status);
+    this.reset = reset;
+  }
+}
+
+// fetch itself failed: offline, DNS, CORS or a blocked request
+class NetworkError extends GitHubAPIError {}
+
+// Sends one HTTP request: fetch's signature, resolving to something with ok, status, statusText, headers.get and json()
+const fetchTransport = (url, init) => fetch(url, init);
+
 // GitHub API Client
 class GitHubAPI {
-  constructor() {
-    this.baseURL = "https://api.github.com";
-    this.token = null; // Add your token here for higher rate limits
+  constructor(token = null, baseURL = DEFAULT_API_URL, transport = fetchTransport) {
+    this.baseURL = baseURL;
+    this.token = token;
+    this.transport = transport;
+    this.rateLimit = null;
+    this.onRateLimitChange = null;
+    this.etagCache = new Map();
+  }
+
+  setBaseURL(baseURL) {
+    this.baseURL = baseURL;
+    this.rateLimit = null; // Each server has its own quota
   }
 
-  async request(endpoint) {
+  // Swapping backends (e.g. for demo mode) invalidates everything learned from the old one
+  setTransport(transport) {
+    this.transport = transport;
+    this.rateLimit = null;
+    this.etagCache.clear();
+  }
+
+  setToken(token) {
+    this.token = token || null;
+    this.rateLimit = null;
+    this.etagCache.clear(); // Cached responses may depend on what the previous token could see
+  }
+
+  async request(endpoint, options = {}) {
+    const { data } = await this.fetchJSON(`${this.baseURL}${endpoint}`, options);
+    return data;
+  }
+
+  // Follows `Link: <...>; rel="next"` headers, stopping after maxPages pages
+  async requestAllPages(endpoint, maxPages) {
+    const separator = endpoint.includes("?") ? "&" : "?";
+    let url = `${this.baseURL}${endpoint}${separator}per_page=100`;
+    const items = [];
+
+    for (let page = 0; url && page < maxPages; page++) {
+      const { data, link } = await this.fetchJSON(url);
+      items.push(...data);
+      url = this.getNextPageUrl(link);
+    }
+
+    return items;
+  }
+
+  getNextPageUrl(linkHeader) {
+    if (!linkHeader) {
+      return null;
+    }
+    const match = linkHeader.split(",").find((link) => /rel="next"/.test(link));
+    return match ? match.match(/<([^>]+)>/)[1] : null;
+  }
+
+  // GETs are sent with If-None-Match; a 304 reuses the cached body and doesn't count against the rate limit
+  async fetchJSON(url, options = {}) {
+    const isGet = !options.method || options.method === "GET";
+    const cached = isGet ? this.etagCache.get(url) : null;
+
+    const response = await this.fetchResponse(url, options, cached ? cached.etag : null);
+    if (response.status === 304 && cached) {
+      return cached;
+    }
+
+    const entry = {
+      data: await response.json(),
+      link: response.headers.get("Link"),
+      etag: response.headers.get("ETag"),
+    };
+    if (isGet && entry.etag) {
+      this.etagCache.delete(url);
+      this.etagCache.set(url, entry);
+      if (this.etagCache.size > MAX_ETAG_CACHE_ENTRIES) {
+        this.etagCache.delete(this.etagCache.keys().next().value);
+      }
+    }
+    return entry;
+  }
+
+  async fetchResponse(url, { method = "GET", body = null } = {}, etag = null) {
     const headers = {
       Accept: "application/vnd.github.v3+json",
     };
     if (this.token) {
       headers["Authorization"] = `token ${this.token}`;
     }
+    if (body) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (etag) {
+      headers["If-None-Match"] = etag;
+    }
+
+    let response;
+    try {
+      response = await this.transport(url, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    } catch (error) {
+      throw new NetworkError(`Could not reach GitHub: ${error.message}`);
+    }
+    this.updateRateLimit(response.headers);
+
+    if (!response.ok && !(etag && response.status === 304)) {
+      throw this.createError(response);
+    }
+
+    return response;
+  }
+
+  createError(response) {
+    const { status, statusText } = response;
+    const quotaExhausted = this.rateLimit && this.rateLimit.remaining === 0;
+    // Secondary rate limits come back as 403 with Retry-After instead of an exhausted quota
+    const retryAfter = parseInt(response.headers.get("Retry-After"));
+
+    if ((status === 403 || status === 429) && (quotaExhausted || retryAfter || status === 429)) {
+      const reset = quotaExhausted ? this.rateLimit.reset : new Date(Date.now() + (retryAfter || 60) * 1000);
+      const resetTime = reset.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+      const hint = this.token ? "" : " Add a GitHub token in Settings for a higher limit.";
+      return new RateLimitError(`GitHub API rate limit exceeded (resets at ${resetTime}).${hint}`, status, reset);
+    }
+    if (status === 401) {
+      return new AuthError("GitHub token was rejected (401). Check the token in Settings.", status);
+    }
+    if (status === 403) {
+      const hint = this.token ? "Check the token's scopes and SSO authorization." : "Add a GitHub token in Settings.";
+      return new AuthError(`GitHub denied access (403). ${hint}`, status);
+    }
+    if (status === 404) {
+      return new NotFoundError("Not found on GitHub (404)", status);
+    }
+    return new GitHubAPIError(`GitHub API error: ${status} ${statusText}`, status);
+  }
 
-    const response = await fetch(`${this.baseURL}${endpoint}`, { headers });
-    if (!response.ok) {
-      throw new Error(`GitHub API error: ${response.status} ${response.statusText}`);
+  updateRateLimit(responseHeaders) {
+    const remaining = responseHeaders.get("X-RateLimit-Remaining");
+    if (remaining === null) {
+      return;
     }
 
-    return response.json();
+    this.rateLimit = {
+      limit: parseInt(responseHeaders.get("X-RateLimit-Limit")),
+      remaining: parseInt(remaining),
+      reset: new Date(parseInt(responseHeaders.get("X-RateLimit-Reset")) * 1000),
+    };
+    if (this.onRateLimitChange) {
+      this.onRateLimitChange(this.rateLimit);
+    }
   }
 
   async getRepo(owner, repo) {
     return this.request(`/repos/${owner}/${repo}`);
   }
 
-  async getReleases(owner, repo) {
-    return this.request(`/repos/${owner}/${repo}/releases`);
+  async getReleases(owner, repo, maxPages = DEFAULT_MAX_RELEASE_PAGES) {
+    return this.requestAllPages(`/repos/${owner}/${repo}/releases`, maxPages);
   }
 
 
 
+  // Resolves to null only when the branch doesn't exist; other failures are rethrown
+  async getBranch(owner, repo, branchName) {
+    try {
+      return await this.request(`/repos/${owner}/${repo}/branches/${branchName}`);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   async checkBranchExists(owner, repo, branchName) {
+    return (await this.getBranch(owner, repo, branchName)) !== null;
+  }
+
+  // Resolves to null only when the tag doesn't exist; other failures are rethrown
+  async getTagRef(owner, repo, tagName) {
     try {
-      await this.request(`/repos/${owner}/${repo}/branches/${branchName}`);
-      return true;
-    } catch {
-      return false;
+      return await this.request(`/repos/${owner}/${repo}/git/ref/tags/${tagName}`);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
     }
   }
 
+  async getCommit(owner, repo, sha) {
+    return this.request(`/repos/${owner}/${repo}/commits/${sha}`);
+  }
+
+  async getCommitPulls(owner, repo, sha) {
+    return this.request(`/repos/${owner}/${repo}/commits/${sha}/pulls`);
+  }
+
+  async getCombinedStatus(owner, repo, ref) {
+    return this.request(`/repos/${owner}/${repo}/commits/${ref}/status`);
+  }
+
+  async getCheckRuns(owner, repo, ref) {
+    return this.request(`/repos/${owner}/${repo}/commits/${ref}/check-runs?per_page=100`);
+  }
+
+  // Resolves to null when either ref doesn't exist; other failures are rethrown
   async compareCommits(owner, repo, base, head) {
     try {
       return await this.request(`/repos/${owner}/${repo}/compare/${base}...${head}`);
-    } catch {
-      return null;
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
     }
   }
 
 
-  async getPackageJson(owner, repo, branch = null) {
+  // Refs whose name starts with ref, e.g. "heads/v" or "tags/"
+  async getMatchingRefs(owner, repo, ref, maxPages) {
+    return this.requestAllPages(`/repos/${owner}/${repo}/git/matching-refs/${ref}`, maxPages);
+  }
+
+  // A single compare response holds at most 250 commits, so long ranges are paginated (100 commits per page).
+  // Files are only listed on the first page, but that list covers the whole range.
+  async compareCommitsAllPages(owner, repo, base, head, maxPages = MAX_COMPARE_PAGES) {
+    let url = `${this.baseURL}/repos/${owner}/${repo}/compare/${base}...${head}?per_page=100`;
+    let comparison = null;
+
     try {
-      // For continuedev/continue, use the VSCode extension package.json
-      const path = owner === "continuedev" && repo === "continue" ? "extensions/vscode/package.json" : "package.json";
-
-      const endpoint = branch
-        ? `/repos/${owner}/${repo}/contents/${path}?ref=${branch}`
-        : `/repos/${owner}/${repo}/contents/${path}`;
-
-      const response = await this.request(endpoint);
-      const content = atob(response.content);
-      const parsed = JSON.parse(content);
-
-      // Find line number of version field
-      const lines = content.split("\n");
-      let versionLineNumber = null;
-      for (let i = 0; i < lines.length; i++) {
-        if (lines[i].includes('"version"') && lines[i].includes(":")) {
-          versionLineNumber = i + 1; // GitHub uses 1-based line numbers
-          break;
+      for (let page = 0; url && page < maxPages; page++) {
+        const { data, link } = await this.fetchJSON(url);
+        if (comparison) {
+          comparison.commits.push(...data.commits);
+        } else {
+          comparison = { ...data, commits: [...data.commits] }; // Don't mutate the cached response
         }
+        url = this.getNextPageUrl(link);
       }
-
-      return { ...parsed, _versionLineNumber: versionLineNumber };
     } catch (error) {
-      throw new Error("package.json not found");
+      if (error instanceof NotFoundError) {
+        return null;
+      }
+      throw error;
+    }
+
+    return comparison;
+  }
+
+  async getFileContent(owner, repo, path, branch = null) {
+    const endpoint = branch
+      ? `/repos/${owner}/${repo}/contents/${path}?ref=${branch}`
+      : `/repos/${owner}/${repo}/contents/${path}`;
+
+    const response = await this.request(endpoint);
+    const bytes = Uint8Array.from(atob(response.content.replace(/\n/g, "")), (char) => char.charCodeAt(0));
+    return { text: new TextDecoder().decode(bytes), sha: response.sha };
+  }
+
+  async updateFileContent(owner, repo, path, branch, text, sha, message) {
+    let binary = "";
+    new TextEncoder().encode(text).forEach((byte) => {
+      binary += String.fromCharCode(byte);
+    });
+
+    return this.request(`/repos/${owner}/${repo}/contents/${path}`, {
+      method: "PUT",
+      body: { message, content: btoa(binary), sha, branch },
+    });
+  }
+
+  async getCommitSha(owner, repo, ref) {
+    const commit = await this.request(`/repos/${owner}/${repo}/commits/${ref}`);
+    return commit.sha;
+  }
+
+  async createBranch(owner, repo, branchName, sha) {
+    return this.request(`/repos/${owner}/${repo}/git/refs`, {
+      method: "POST",
+      body: { ref: `refs/heads/${branchName}`, sha },
+    });
+  }
+
+  async generateReleaseNotes(owner, repo, tagName, target, previousTagName = null) {
+    const body = { tag_name: tagName, target_commitish: target };
+    if (previousTagName) {
+      body.previous_tag_name = previousTagName;
     }
+    return this.request(`/repos/${owner}/${repo}/releases/generate-notes`, { method: "POST", body });
+  }
+
+  async createRelease(owner, repo, release) {
+    return this.request(`/repos/${owner}/${repo}/releases`, { method: "POST", body: release });
   }
 
+  async updateRelease(owner, repo, releaseId, changes) {
+    return this.request(`/repos/${owner}/${repo}/releases/${releaseId}`, { method: "PATCH", body: changes });
+  }
+
+  // The release GitHub shows as "Latest"; 404 when there is none
+  async getLatestRelease(owner, repo) {
+    return this.request(`/repos/${owner}/${repo}/releases/latest`);
+  }
 }
 
-// Version utilities
-class VersionUtils {
-  static isValidSemver(version) {
+// Release profiles
+// Template placeholders: {version} (as entered, e.g. v1.2.5), {major}, {minor}, {patch}, {nextMinor}
+// versionFiles lists every file that must carry the release version (see VersionFileUtils for formats);
+// it defaults to the "version" key of manifestPath. The bump action edits all of them.
+// expectedAssets lists glob patterns (* and ?) for the files every published release must carry.
+// steps optionally overrides the release checklist: built-in step ids from DEFAULT_RELEASE_STEPS in the order
+// they should appear, mixed with manual steps such as { id: "notify", title: "Notify #release", description: "..." }.
+const RELEASE_PROFILES = {
+  vscode: {
+    name: "VS Code extension",
+    tagSuffix: "-vscode",
+    releaseBranchTemplate: "{version}-vscode-release",
+    baseBranchTemplate: "v{major}.{nextMinor}.x-vscode",
+    prereleaseBranchTemplate: "v{major}.{minor}.x-vscode",
+    prereleaseMinorStep: 2, // Pre-releases use odd minor versions, stable releases even ones
+    manifestPath: "extensions/vscode/package.json",
+    versionFiles: [
+      { path: "extensions/vscode/package.json", format: "json", key: "version" },
+      { path: "extensions/vscode/package-lock.json", format: "json", key: "version" },
+      { path: "extensions/vscode/package-lock.json", format: "json", key: ["packages", "", "version"] },
+    ],
+    expectedAssets: [
+      "continue-*-linux-x64.vsix",
+      "continue-*-linux-arm64.vsix",
+      "continue-*-darwin-x64.vsix",
+      "continue-*-darwin-arm64.vsix",
+      "continue-*-win32-x64.vsix",
+      "continue-*-win32-arm64.vsix",
+    ],
+  },
+  jetbrains: {
+    name: "JetBrains plugin",
+    tagSuffix: "-jetbrains",
+    releaseBranchTemplate: "{version}-jetbrains-release",
+    baseBranchTemplate: "v{major}.{nextMinor}.x-jetbrains",
+    prereleaseBranchTemplate: "v{major}.{minor}.x-jetbrains",
+    prereleaseMinorStep: 2,
+    manifestPath: "extensions/intellij/gradle.properties",
+    versionFiles: [{ path: "extensions/intellij/gradle.properties", format: "properties", key: "pluginVersion" }],
+  },
+  default: {
+    name: "Plain tags",
+    tagSuffix: "",
+    releaseBranchTemplate: "{version}-release",
+    baseBranchTemplate: "v{major}.{nextMinor}.x",
+    prereleaseBranchTemplate: "v{major}.{minor}.x",
+    prereleaseMinorStep: 1,
+    manifestPath: "package.json",
+  },
+};
+
+const DEFAULT_PROFILE_ID = "vscode";
+
+// Built-in release steps (the step groups in #release-steps), in their default order. Their titles head the
+// checklist on the page and the steps of the CLI report.
+const DEFAULT_RELEASE_STEPS = [
+  { id: "create-branch", title: "Create release branch" },
+  { id: "version-files", title: "Update Version Files" },
+  { id: "cherry-pick", title: "Cherry-pick Hotfixes (Optional)" },
+  { id: "smoke-test", title: "Smoke Testing" },
+  { id: "push-branch", title: "Push Release Branch" },
+  { id: "ci-status", title: "Verify CI Status" },
+  { id: "github-release", title: "Create GitHub Release" },
+];
+// Built-in steps without an automated check; they get a sign-off like custom steps
+const MANUAL_RELEASE_STEPS = ["cherry-pick", "smoke-test"];
+const CHECKLIST_EXPORT_FORMAT = "release-man-checklist";
+
+class ProfileUtils {
+  static get(profileId) {
+    return RELEASE_PROFILES[profileId] || RELEASE_PROFILES[DEFAULT_PROFILE_ID];
+  }
+
+  static render(template, version) {
     const cleanVersion = version.replace(/^v/, "");
-    const semverRegex = /^\d+\.\d+\.\d+(-[\w.-]+)?(\+[\w.-]+)?$/;
-    return semverRegex.test(cleanVersion);
+    const [major, minor, patch] = cleanVersion.split(".").map((part) => parseInt(part));
+    const values = {
+      version,
+      major,
+      minor,
+      patch,
+      nextMinor: minor + 1,
+    };
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? values[key] : match));
   }
 
+  static tagName(profile, version) {
+    return `${version}${profile.tagSuffix}`;
+  }
 
+  static releaseBranch(profile, version) {
+    return this.render(profile.releaseBranchTemplate, version);
+  }
 
-}
+  static baseBranch(profile, version) {
+    return this.render(profile.baseBranchTemplate, version);
+  }
 
-// Main App
-class ReleaseApp {
-  constructor() {
-    this.api = new GitHubAPI();
-    this.currentRepo = null;
-    this.repoData = null;
-    this.releases = null;
+  static prereleaseBranch(profile, version) {
+    return this.render(profile.prereleaseBranchTemplate, version);
+  }
 
-    this.initEventListeners();
+  static matchesTag(profile, tagName) {
+    if (profile.tagSuffix) {
+      return tagName.endsWith(profile.tagSuffix);
+    }
+    // Without a suffix, skip tags that belong to another profile
+    return !Object.values(RELEASE_PROFILES).some((other) => other.tagSuffix && tagName.endsWith(other.tagSuffix));
   }
 
-  initEventListeners() {
-    document.getElementById("analyze-btn").addEventListener("click", () => this.analyzeRepo());
-    document.getElementById("repo-input").addEventListener("keypress", (e) => {
-      if (e.key === "Enter") this.analyzeRepo();
+  static versionFiles(profile) {
+    return profile.versionFiles || [{ path: profile.manifestPath, format: "json", key: "version" }];
+  }
+
+  // Normalized release checklist; custom steps added in the UI go right before publishing the GitHub release
+  static releaseSteps(profile, customSteps = []) {
+    const steps = (profile.steps || DEFAULT_RELEASE_STEPS.map((step) => step.id)).map((step) => {
+      if (typeof step === "string") {
+        const builtIn = DEFAULT_RELEASE_STEPS.find((candidate) => candidate.id === step);
+        return {
+          id: step,
+          title: builtIn && builtIn.title,
+          builtIn: true,
+          manual: MANUAL_RELEASE_STEPS.includes(step),
+        };
+      }
+      return { ...step, builtIn: false, manual: true };
     });
-    document.getElementById("target-release-version").addEventListener("input", () => this.validateVersion());
-    document.getElementById("from-prerelease-version").addEventListener("input", () => this.validateVersion());
 
-    // Copy functionality
-    window.copyToClipboard = (elementId) => {
-      const element = document.getElementById(elementId);
-      const text = element.textContent;
+    const publishIndex = steps.findIndex((step) => step.id === "github-release");
+    steps.splice(
+      publishIndex === -1 ? steps.length : publishIndex,
+      0,
+      ...customSteps.map((step) => ({ ...step, builtIn: false, manual: true, removable: true }))
+    );
+    return steps;
+  }
 
-      // Clear any existing selection to prevent text highlighting
-      window.getSelection().removeAllRanges();
+  // Matches names produced by a branch template, capturing the version
+  static templateRegExp(template) {
+    const source = template
+      .replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+      .replace(/\{version\}/g, "(v?\\d+\\.\\d+\\.\\d+)")
+      .replace(/\{(major|minor|patch|nextMinor)\}/g, "\\d+");
+    return new RegExp(`^${source}$`);
+  }
 
-      navigator.clipboard
-        .writeText(text)
-        .then(() => {
-          const button = element.nextElementSibling;
-          const originalText = button.textContent;
+  static nextPatchVersion(profile, tagName) {
+    return VersionUtils.increment(this.stripSuffix(profile, tagName), "patch");
+  }
 
-          // Add copied class and change text
-          button.classList.add("copied");
-          button.textContent = "Copied";
+  static expectedAssets(profile) {
+    return profile.expectedAssets || [];
+  }
 
-          setTimeout(() => {
-            button.classList.remove("copied");
-            button.textContent = originalText;
-          }, 1500);
-        })
-        .catch(() => {
-          // Fallback for older browsers
-          const textArea = document.createElement("textarea");
-          textArea.value = text;
-          textArea.style.position = 'fixed';
-          textArea.style.left = '-999999px';
-          textArea.style.top = '-999999px';
-          document.body.appendChild(textArea);
-          textArea.focus();
-          textArea.select();
+  // Published releases of the profile, highest version first; tags that aren't semver are skipped
+  static sortedReleases(profile, releases) {
+    return releases
+      .filter((release) => !release.draft && this.matchesTag(profile, release.tag_name))
+      .map((release) => ({ release, version: VersionUtils.parse(this.stripSuffix(profile, release.tag_name)) }))
+      .filter(({ version }) => version !== null)
+      .sort((a, b) => VersionUtils.compare(b.version, a.version))
+      .map(({ release }) => release);
+  }
 
-          try {
-            document.execCommand('copy');
-            const button = element.nextElementSibling;
-            const originalText = button.textContent;
-            button.classList.add("copied");
-            button.textContent = "Copied";
-            setTimeout(() => {
-              button.classList.remove("copied");
-              button.textContent = originalText;
-            }, 1500);
-          } catch (err) {
-            console.warn('Copy fallback failed:', err);
-            // Show error feedback
-            const button = element.nextElementSibling;
-            const originalText = button.textContent;
-            button.textContent = "Copy failed";
-            setTimeout(() => {
-              button.textContent = originalText;
-            }, 1500);
-          } finally {
-            document.body.removeChild(textArea);
-          }
-        });
-    };
+  static stripSuffix(profile, tagName) {
+    return profile.tagSuffix && tagName.endsWith(profile.tagSuffix)
+      ? tagName.slice(0, -profile.tagSuffix.length)
+      : tagName;
+  }
+}
+
+// Version file parsing
+// Formats: "json" (key path such as "version" or ["packages", "", "version"]), "properties" (key),
+// "toml" and "yaml" (dotted key path) and "regex" (per-line pattern whose first capture group is the version)
+class VersionFileUtils {
+  static keyPath(key) {
+    return Array.isArray(key) ? key : key.split(".");
+  }
+
+  static describe(file) {
+    if (file.format === "regex") {
+      return `/${file.pattern}/`;
+    }
+    return this.keyPath(file.key || "version")
+      .map((part) => (part === "" ? '""' : part))
+      .join(".");
   }
 
-  showLoading() {
-    document.getElementById("loading").classList.remove("hidden");
+  // Returns { value, line } with a 1-based line number (as GitHub uses), or null when the key is missing
+  static extract(text, file) {
+    const lines = text.split("\n");
+    switch (file.format) {
+      case "json":
+        return this.extractJson(text, lines, this.keyPath(file.key || "version"));
+      case "properties":
+        return this.extractProperties(lines, file.key);
+      case "toml":
+        return this.extractToml(lines, this.keyPath(file.key));
+      case "yaml":
+        return this.extractYaml(lines, this.keyPath(file.key));
+      case "regex":
+        return this.extractRegex(lines, new RegExp(file.pattern));
+      default:
+        throw new Error(`Unknown version file format: ${file.format}`);
+    }
+  }
+
+  // Rewrites only the version value on its line so the rest of the file keeps its formatting
+  static replace(text, file, newVersion) {
+    const found = this.extract(text, file);
+    if (!found) {
+      throw new Error(`${this.describe(file)} not found in ${file.path}`);
+    }
+
+    const lines = text.split("\n");
+    lines[found.line - 1] = lines[found.line - 1].replace(found.value, newVersion);
+    return lines.join("\n");
+  }
+
+  static extractJson(text, lines, keys) {
+    let value = JSON.parse(text);
+    for (const key of keys) {
+      if (value === null || typeof value !== "object" || !(key in value)) {
+        return null;
+      }
+      value = value[key];
+    }
+
+    // Walk down the key path line by line; this assumes pretty-printed JSON
+    let line = -1;
+    for (const key of keys) {
+      const keyPattern = new RegExp(`"${key.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}"\\s*:`);
+      const index = lines.findIndex((candidate, i) => i > line && keyPattern.test(candidate));
+      if (index === -1) {
+        line = -1;
+        break;
+      }
+      line = index;
+    }
+
+    return { value: String(value), line: line === -1 ? null : line + 1 };
+  }
+
+  static extractProperties(lines, key) {
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^\s*([^#!=:\s]+)\s*[=:]\s*(.*?)\s*$/);
+      if (match && match[1] === key) {
+        return { value: match[2], line: i + 1 };
+      }
+    }
+    return null;
+  }
+
+  static extractToml(lines, keys) {
+    const unquote = (part) => part.trim().replace(/^["']|["']$/g, "");
+    let table = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const header = lines[i].match(/^\s*\[([^\]]+)\]\s*$/);
+      if (header) {
+        table = header[1].split(".").map(unquote);
+        continue;
+      }
+
+      const assignment = lines[i].match(/^\s*([\w.-]+|"[^"]+")\s*=\s*(.+)$/);
+      if (!assignment) {
+        continue;
+      }
+      const path = [...table, ...assignment[1].split(".").map(unquote)];
+      if (path.join("\u0000") === keys.join("\u0000")) {
+        const value = assignment[2].match(/^"([^"]*)"|^'([^']*)'|^([^\s#]+)/);
+        return { value: value[1] ?? value[2] ?? value[3], line: i + 1 };
+      }
+    }
+    return null;
+  }
+
+  static extractYaml(lines, keys) {
+    const stack = [];
+
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(/^(\s*)([\w.-]+|"[^"]+"|'[^']+')\s*:\s*(.*?)\s*$/);
+      if (!match || /^\s*#/.test(lines[i])) {
+        continue;
+      }
+
+      const indent = match[1].length;
+      const key = match[2].replace(/^["']|["']$/g, "");
+      while (stack.length && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+
+      const rawValue = match[3].replace(/\s+#.*$/, "");
+      if (!rawValue) {
+        stack.push({ indent, key });
+        continue;
+      }
+      const path = [...stack.map((entry) => entry.key), key];
+      if (path.join("\u0000") === keys.join("\u0000")) {
+        return { value: rawValue.replace(/^["']|["']$/g, ""), line: i + 1 };
+      }
+    }
+    return null;
+  }
+
+  static extractRegex(lines, pattern) {
+    for (let i = 0; i < lines.length; i++) {
+      const match = lines[i].match(pattern);
+      if (match) {
+        return { value: match[1], line: i + 1 };
+      }
+    }
+    return null;
+  }
+}
+
+// Version utilities
+class VersionUtils {
+  static isValidSemver(version) {
+    return this.parse(version) !== null;
+  }
+
+  static parse(version) {
+    const cleanVersion = version.trim().replace(/^v/, "");
+    const match = cleanVersion.match(/^(\d+)\.(\d+)\.(\d+)(?:-([\w.-]+))?(?:\+([\w.-]+))?$/);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      major: parseInt(match[1]),
+      minor: parseInt(match[2]),
+      patch: parseInt(match[3]),
+      prerelease: match[4] ? match[4].split(".") : [],
+      build: match[5] ? match[5].split(".") : [],
+    };
+  }
+
+  // Semver precedence: returns <0, 0 or >0. Build metadata is ignored, as the spec requires.
+  static compare(a, b) {
+    const left = typeof a === "string" ? this.parse(a) : a;
+    const right = typeof b === "string" ? this.parse(b) : b;
+
+    for (const part of ["major", "minor", "patch"]) {
+      if (left[part] !== right[part]) {
+        return left[part] - right[part];
+      }
+    }
+
+    // A version without pre-release identifiers ranks above one with them
+    if (left.prerelease.length === 0 || right.prerelease.length === 0) {
+      return right.prerelease.length - left.prerelease.length;
+    }
+
+    const length = Math.max(left.prerelease.length, right.prerelease.length);
+    for (let i = 0; i < length; i++) {
+      const leftId = left.prerelease[i];
+      const rightId = right.prerelease[i];
+      if (leftId === undefined || rightId === undefined) {
+        return leftId === undefined ? -1 : 1;
+      }
+      if (leftId === rightId) {
+        continue;
+      }
+
+      const leftNumeric = /^\d+$/.test(leftId);
+      const rightNumeric = /^\d+$/.test(rightId);
+      if (leftNumeric && rightNumeric) {
+        return parseInt(leftId) - parseInt(rightId);
+      }
+      if (leftNumeric !== rightNumeric) {
+        return leftNumeric ? -1 : 1; // Numeric identifiers rank below alphanumeric ones
+      }
+      return leftId < rightId ? -1 : 1;
+    }
+
+    return 0;
+  }
+
+  static increment(version, part) {
+    const { major, minor, patch } = this.parse(version);
+    if (part === "major") {
+      return `v${major + 1}.0.0`;
+    }
+    if (part === "minor") {
+      return `v${major}.${minor + 1}.0`;
+    }
+    return `v${major}.${minor}.${patch + 1}`;
+  }
+}
+
+// Tag and branch hygiene: lines the profile's release branches and tags up with its GitHub releases
+class RefAudit {
+  // Version with any known profile suffix and the "v" prefix removed, so v1.2.5, 1.2.5-vscode and
+  // v1.2.5-jetbrains all group as 1.2.5
+  static versionKey(tagName) {
+    const suffix = Object.values(RELEASE_PROFILES)
+      .map((profile) => profile.tagSuffix)
+      .find((tagSuffix) => tagSuffix && tagName.endsWith(tagSuffix));
+    const version = (suffix ? tagName.slice(0, -suffix.length) : tagName).replace(/^v/, "");
+    return VersionUtils.isValidSemver(version) ? version : null;
+  }
+
+  // branchNames and tagNames are short ref names; releases include drafts when the token can see them
+  static build(profile, branchNames, tagNames, releases) {
+    const releasesByTag = new Map(releases.map((release) => [release.tag_name, release]));
+    const tagSet = new Set(tagNames);
+    const branchPattern = ProfileUtils.templateRegExp(profile.releaseBranchTemplate);
+
+    const branches = branchNames
+      .map((name) => ({ name, match: name.match(branchPattern) }))
+      .filter(({ match }) => match)
+      .map(({ name, match }) => {
+        const tagName = ProfileUtils.tagName(profile, match[1]);
+        return {
+          name,
+          version: match[1],
+          tagName,
+          tagExists: tagSet.has(tagName),
+          release: releasesByTag.get(tagName) || null,
+        };
+      });
+
+    const tags = tagNames
+      .filter((name) => ProfileUtils.matchesTag(profile, name))
+      .map((name) => ({ name, version: ProfileUtils.stripSuffix(profile, name) }))
+      .filter(({ version }) => VersionUtils.parse(version) !== null)
+      .map((tag) => ({ ...tag, release: releasesByTag.get(tag.name) || null }));
+
+    // The same version tagged several ways is only a problem when some of those tags were never released
+    const tagsByVersion = new Map();
+    tagNames.forEach((name) => {
+      const key = this.versionKey(name);
+      if (key) {
+        tagsByVersion.set(key, [...(tagsByVersion.get(key) || []), name]);
+      }
+    });
+    const duplicates = [...new Set(tags.map((tag) => this.versionKey(tag.name)))]
+      .map((key) => ({
+        version: key,
+        tags: tagsByVersion.get(key).map((name) => ({ name, release: releasesByTag.get(name) || null })),
+      }))
+      .filter((group) => group.tags.length > 1 && group.tags.some((tag) => !tag.release));
+
+    return { branches, tags, duplicates };
+  }
+}
+
+// Rolling back a broken stable release: demote it, point "latest" back at the last good release and cut an emergency
+// patch from the good tag, one patch above the broken version so it supersedes it
+class RollbackPlan {
+  // Stable releases that can be rolled back, newest first; keep stays listed once demoted so a rollback in progress
+  // doesn't lose its selection
+  static candidates(profile, releases, keep = null) {
+    return releases
+      .filter((release) => (!release.draft && !release.prerelease) || release.tag_name === keep)
+      .filter((release) => ProfileUtils.matchesTag(profile, release.tag_name))
+      .map((release) => ({ release, version: VersionUtils.parse(ProfileUtils.stripSuffix(profile, release.tag_name)) }))
+      .filter(({ version }) => version !== null)
+      .sort((a, b) => VersionUtils.compare(b.version, a.version))
+      .map(({ release }) => release);
+  }
+
+  // Stable releases below badTag, newest (the default "last good" one) first
+  static goodCandidates(profile, releases, badTag) {
+    const badVersion = ProfileUtils.stripSuffix(profile, badTag);
+    return ProfileUtils.sortedReleases(profile, releases).filter(
+      (release) =>
+        !release.prerelease && VersionUtils.compare(ProfileUtils.stripSuffix(profile, release.tag_name), badVersion) < 0
+    );
+  }
+
+  static build(profile, badTag, goodTag) {
+    const patchVersion = ProfileUtils.nextPatchVersion(profile, badTag);
+    const patchTag = ProfileUtils.tagName(profile, patchVersion);
+    const patchBranch = ProfileUtils.releaseBranch(profile, patchVersion);
+    return {
+      badTag,
+      goodTag,
+      patchVersion,
+      patchTag,
+      patchBranch,
+      commands: {
+        prerelease: `gh release edit ${badTag} --prerelease`,
+        draft: `gh release edit ${badTag} --draft`,
+        latest: `gh release edit ${goodTag} --latest`,
+        branch: `git checkout -b ${patchBranch} ${goodTag} && git push origin ${patchBranch}`,
+        release: `gh release create ${patchTag} --target ${patchBranch} --generate-notes --notes-start-tag ${goodTag}`,
+      },
+    };
+  }
+}
+
+// Release asset helpers
+class AssetUtils {
+  static globToRegExp(pattern) {
+    const source = pattern
+      .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+      .replace(/\*/g, ".*")
+      .replace(/\?/g, ".");
+    return new RegExp(`^${source}$`);
+  }
+
+  static match(pattern, assets) {
+    const regex = this.globToRegExp(pattern);
+    return assets.filter((asset) => regex.test(asset.name));
+  }
+
+  static formatSize(bytes) {
+    const units = ["B", "KB", "MB", "GB"];
+    let size = bytes;
+    let unit = 0;
+    while (size >= 1024 && unit < units.length - 1) {
+      size /= 1024;
+      unit++;
+    }
+    return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+  }
+}
+
+// Cherry-pick matching helpers
+const MAX_PATCH_ID_COMMITS = 30;
+const MAX_PULL_LOOKUP_COMMITS = 30;
+const COMMIT_LOOKUP_CONCURRENCY = 5;
+
+class CherryPickUtils {
+  static extractPullNumber(message) {
+    const title = message.split("\n")[0];
+    const match = title.match(/\(#(\d+)\)\s*$/) || title.match(/^Merge pull request #(\d+)/);
+    return match ? parseInt(match[1]) : null;
+  }
+
+  // Shas named by `git cherry-pick -x` trailers
+  static extractCherryPickSources(message) {
+    return [...message.matchAll(/\(cherry picked from commit ([0-9a-f]{7,40})\)/g)].map((match) => match[1]);
+  }
+
+  // Approximates `git patch-id`: hashes the changed lines per file, ignoring whitespace and line numbers
+  static async patchId(files) {
+    const normalized = files
+      .map((file) => {
+        const changes = (file.patch || "")
+          .split("\n")
+          .filter((line) => /^[+-]/.test(line))
+          .map((line) => line.replace(/\s+/g, ""));
+        return `${file.filename}\n${changes.join("\n")}`;
+      })
+      .sort()
+      .join("\n");
+
+    const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  // Commits must be in oldest-first order; merge commits need their own `-m 1` invocation
+  static buildCommand(commits) {
+    const commands = [];
+    let pending = [];
+    const flush = () => {
+      if (pending.length) {
+        commands.push(`git cherry-pick -x ${pending.join(" ")}`);
+        pending = [];
+      }
+    };
+
+    commits.forEach((commit) => {
+      if (commit.parents && commit.parents.length > 1) {
+        flush();
+        commands.push(`git cherry-pick -x -m 1 ${commit.sha.substring(0, 12)}`);
+      } else {
+        pending.push(commit.sha.substring(0, 12));
+      }
+    });
+    flush();
+
+    return commands.join(" && ");
+  }
+}
+
+// Release notes grouping and Markdown preview
+const NOTE_GROUPS = [
+  { title: "⚠️ Breaking Changes", types: [], labels: ["breaking", "breaking-change", "breaking change"] },
+  { title: "🚀 Features", types: ["feat", "feature"], labels: ["feature", "enhancement"] },
+  { title: "🐛 Bug Fixes", types: ["fix", "bugfix", "hotfix"], labels: ["bug", "fix", "regression", "hotfix"] },
+  { title: "⚡ Performance", types: ["perf"], labels: ["performance"] },
+  { title: "📝 Documentation", types: ["docs"], labels: ["documentation", "docs"] },
+  {
+    title: "🧹 Maintenance",
+    types: ["chore", "refactor", "build", "ci", "test", "style", "revert"],
+    labels: ["chore", "dependencies"],
+  },
+];
+const OTHER_NOTE_GROUP = "Other Changes";
+
+class ReleaseNotes {
+  // Picks a group from PR labels first, then from the conventional-commit prefix
+  static classify(title, labels = []) {
+    const conventional = title.match(/^(\w+)(\([^)]*\))?(!)?:/);
+    if (conventional && conventional[3]) {
+      return NOTE_GROUPS[0].title;
+    }
+
+    const lowerLabels = labels.map((label) => label.toLowerCase());
+    const byLabel = NOTE_GROUPS.find((group) => group.labels.some((label) => lowerLabels.includes(label)));
+    if (byLabel) {
+      return byLabel.title;
+    }
+
+    const type = conventional ? conventional[1].toLowerCase() : null;
+    const byType = NOTE_GROUPS.find((group) => group.types.includes(type));
+    return byType ? byType.title : OTHER_NOTE_GROUP;
+  }
+
+  static build(entries, { previousTag, compareUrl, footer = [] }) {
+    const groups = new Map([...NOTE_GROUPS.map((group) => group.title), OTHER_NOTE_GROUP].map((title) => [title, []]));
+    entries.forEach((entry) => groups.get(this.classify(entry.title, entry.labels)).push(entry));
+
+    const lines = ["## What's Changed", ""];
+    groups.forEach((groupEntries, title) => {
+      if (groupEntries.length === 0) {
+        return;
+      }
+      lines.push(`### ${title}`, "");
+      groupEntries.forEach((entry) => {
+        const author = entry.author ? ` by @${entry.author}` : "";
+        const link = entry.url ? ` in ${entry.url}` : "";
+        lines.push(`* ${entry.title}${author}${link}`);
+      });
+      lines.push("");
+    });
+
+    if (entries.length === 0) {
+      lines.push("No changes since the previous release.", "");
+    }
+
+    lines.push(...footer);
+    if (previousTag && compareUrl) {
+      lines.push(`**Full Changelog**: ${compareUrl}`);
+    }
+    return lines.join("\n").trim() + "\n";
+  }
+
+  // Splits GitHub's generated notes into entries, keeping trailing sections (e.g. New Contributors) as a footer
+  static parseGitHubNotes(body) {
+    const entries = [];
+    const footer = [];
+    let inChanges = true;
+
+    body.split("\n").forEach((line) => {
+      if (/^## /.test(line) && !/What's Changed/.test(line)) {
+        inChanges = false;
+      }
+      if (/^\*\*Full Changelog\*\*/.test(line)) {
+        return;
+      }
+
+      const entry = line.match(/^\* (.+?)(?: by @([\w-]+(?:\[bot\])?))?(?: in (\S+))?$/);
+      if (inChanges && entry) {
+        entries.push({ title: entry[1], author: entry[2], url: entry[3], labels: [] });
+      } else if (!inChanges) {
+        footer.push(line);
+      }
+    });
+
+    return { entries, footer };
+  }
+
+  static escapeHtml(text) {
+    return text.replace(
+      /[&<>"']/g,
+      (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]
+    );
+  }
+
+  // Minimal Markdown renderer: headings, bullet lists, bold, inline code and links. Input is escaped first.
+  static toHtml(markdown) {
+    const inline = (text) =>
+      this.escapeHtml(text)
+        .replace(/`([^`]+)`/g, "<code>$1</code>")
+        .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+        .replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, '<a href="$2" target="_blank">$1</a>')
+        .replace(/(^|[\s(])(https?:\/\/[^\s<)]+)/g, '$1<a href="$2" target="_blank">$2</a>');
+
+    const html = [];
+    let inList = false;
+    markdown.split("\n").forEach((line) => {
+      const listItem = line.match(/^\s*[*-] (.*)$/);
+      if (listItem) {
+        if (!inList) {
+          html.push("<ul>");
+          inList = true;
+        }
+        html.push(`<li>${inline(listItem[1])}</li>`);
+        return;
+      }
+      if (inList) {
+        html.push("</ul>");
+        inList = false;
+      }
+
+      const heading = line.match(/^(#{1,6}) (.*)$/);
+      if (heading) {
+        html.push(`<h${heading[1].length}>${inline(heading[2])}</h${heading[1].length}>`);
+      } else if (line.trim()) {
+        html.push(`<p>${inline(line)}</p>`);
+      }
+    });
+    if (inList) {
+      html.push("</ul>");
+    }
+
+    return html.join("\n");
+  }
+}
+
+// "What's in this promotion": commits, contributors, PRs and changed files of a compare range
+class PromotionSummary {
+  // Conventional-commit "type!:" / "type(scope)!:", a BREAKING CHANGE trailer, or a breaking label
+  static isBreaking(message, labels = []) {
+    const title = message.split("\n")[0];
+    const breakingLabels = NOTE_GROUPS[0].labels;
+    return (
+      /^\w+(\([^)]*\))?!:/.test(title) ||
+      /^BREAKING[ -]CHANGE:/m.test(message) ||
+      labels.some((label) => breakingLabels.includes(label.toLowerCase()))
+    );
+  }
+
+  // "Merge pull request #1 from a/b" carries the PR title in the body; squash merges end in " (#1)"
+  static pullTitle(message) {
+    const [title, ...body] = message.split("\n");
+    if (/^Merge pull request #\d+/.test(title)) {
+      return body.find((line) => line.trim()) || title;
+    }
+    return title.replace(/\s*\(#\d+\)\s*$/, "");
+  }
+
+  static topLevelDirectory(path) {
+    return path.includes("/") ? `${path.split("/")[0]}/` : "(root)";
+  }
+
+  // pullsBySha holds the merged PR of each commit that has one, used for titles and labels. Commits without one
+  // still count towards the PR named in their message.
+  static build(comparison, pullsBySha = new Map()) {
+    const contributors = new Map();
+    const pulls = new Map();
+    const breaking = [];
+
+    comparison.commits.forEach((commit) => {
+      const message = commit.commit.message;
+      const author = commit.author ? commit.author.login : commit.commit.author.name;
+      contributors.set(author, (contributors.get(author) || 0) + 1);
+
+      const pull = pullsBySha.get(commit.sha) || null;
+      const pullNumber = pull ? pull.number : CherryPickUtils.extractPullNumber(message);
+      const labels = pull ? pull.labels.map((label) => label.name) : [];
+      const isBreaking = this.isBreaking(message, labels);
+
+      if (pullNumber && !pulls.has(pullNumber)) {
+        pulls.set(pullNumber, {
+          number: pullNumber,
+          title: pull ? pull.title : this.pullTitle(message),
+          labels,
+          breaking: isBreaking,
+        });
+      } else if (pullNumber && isBreaking) {
+        pulls.get(pullNumber).breaking = true;
+      }
+      if (isBreaking) {
+        breaking.push({ sha: commit.sha, title: message.split("\n")[0], pullNumber });
+      }
+    });
+
+    const files = comparison.files || [];
+    const directories = new Map();
+    files.forEach((file) => {
+      const name = this.topLevelDirectory(file.filename);
+      const directory = directories.get(name) || { name, files: 0, additions: 0, deletions: 0 };
+      directory.files++;
+      directory.additions += file.additions || 0;
+      directory.deletions += file.deletions || 0;
+      directories.set(name, directory);
+    });
+
+    return {
+      totalCommits: comparison.total_commits !== undefined ? comparison.total_commits : comparison.commits.length,
+      commitCount: comparison.commits.length,
+      contributors: [...contributors]
+        .map(([name, commits]) => ({ name, commits }))
+        .sort((a, b) => b.commits - a.commits || a.name.localeCompare(b.name)),
+      pulls: [...pulls.values()].sort((a, b) => a.number - b.number),
+      breaking,
+      fileCount: files.length,
+      directories: [...directories.values()].sort((a, b) => b.files - a.files || a.name.localeCompare(b.name)),
+    };
+  }
+}
+
+// Runs fn over items with at most `limit` calls in flight; results keep the input order
+class AsyncUtils {
+  static async mapWithLimit(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+}
+
+// Release readiness checks without the DOM. Each check resolves to a result { state, message, link, error }: state is
+// "success", "danger", "pending" or "error" (the check couldn't run), link an optional { url, text } shown before the
+// message. ReleaseApp renders the results and the command-line tool (bin/release-man.js) prints them.
+class ReleaseChecks {
+  constructor(api, { owner, repo, profile, webURL = DEFAULT_WEB_URL }) {
+    this.api = api;
+    this.owner = owner;
+    this.repo = repo;
+    this.profile = profile;
+    this.repoURL = `${webURL}/${owner}/${repo}`;
+  }
+
+  static result(state, message, link = null) {
+    return { state, message, link, error: null };
+  }
+
+  static errorResult(error) {
+    return { state: "error", message: `Could not check: ${error.message}`, link: null, error };
+  }
+
+  static text(result) {
+    return `${result.link ? result.link.text : ""}${result.message}`;
+  }
+
+  // The pre-release being promoted, then the oldest pre-release above the target, then the profile's branch template
+  static baseRef(profile, releases, version, from = "") {
+    if (from) {
+      return from;
+    }
+
+    const newerPrereleases = ProfileUtils.sortedReleases(profile, releases).filter(
+      (release) =>
+        release.prerelease && VersionUtils.compare(ProfileUtils.stripSuffix(profile, release.tag_name), version) > 0
+    );
+    return newerPrereleases.length
+      ? newerPrereleases[newerPrereleases.length - 1].tag_name
+      : ProfileUtils.baseBranch(profile, version);
+  }
+
+  // Every automated check of a stable release; the report's checks are keyed by release step id
+  async runRelease(version, { from = "", releases }) {
+    const report = this.createReport(version, ProfileUtils.releaseBranch(this.profile, version));
+    report.base = ReleaseChecks.baseRef(this.profile, releases, version, from);
+    await this.checkBranch(report);
+
+    if (report.branch === undefined) {
+      report.ci = {
+        result: report.checks["create-branch"][0],
+        checks: [],
+        blockedReason: "the release branch could not be checked",
+      };
+    } else {
+      report.cherryPicks = report.branch && from ? await this.cherryPicks(from, report.branchName) : null;
+      report.ci = await this.ci(report.branch);
+    }
+    report.checks["ci-status"] = [report.ci.result];
+
+    this.checkRelease(report, releases, false);
+    return report;
+  }
+
+  async runPrerelease(version, { releases }) {
+    const report = this.createReport(version, ProfileUtils.prereleaseBranch(this.profile, version));
+    await this.checkBranch(report);
+    this.checkRelease(report, releases, true);
+    return report;
+  }
+
+  // Progress of a RollbackPlan: "demote" and "latest", then the emergency patch's "create-branch", "version-files"
+  // and "github-release"
+  async runRollback(plan, { releases }) {
+    const report = this.createReport(plan.patchVersion, plan.patchBranch);
+    const badRelease = releases.find((release) => release.tag_name === plan.badTag) || null;
+    report.checks.demote = [this.demoted(plan.badTag, badRelease)];
+    report.checks.latest = [await this.latest(plan.goodTag)];
+    await this.checkBranch(report);
+    this.checkRelease(report, releases, false);
+    return report;
+  }
+
+  createReport(version, branchName) {
+    return {
+      version,
+      branchName,
+      tagName: ProfileUtils.tagName(this.profile, version),
+      branch: null,
+      versionFilesOutdated: false,
+      cherryPicks: null,
+      ci: null,
+      release: null,
+      checks: {},
+    };
+  }
+
+  // report.branch ends up as the branch, null when it doesn't exist or undefined when it couldn't be checked
+  async checkBranch(report) {
+    try {
+      report.branch = await this.api.getBranch(this.owner, this.repo, report.branchName);
+    } catch (error) {
+      // Everything on the branch is unknown rather than missing
+      const failed = ReleaseChecks.errorResult(error);
+      report.branch = undefined;
+      report.checks["create-branch"] = [failed];
+      report.checks["version-files"] = ProfileUtils.versionFiles(this.profile).map(() => failed);
+      return;
+    }
+
+    report.checks["create-branch"] = [this.branchExists(report.branchName, report.branch)];
+    const { results, versionFilesOutdated } = await this.versionFiles(
+      report.version,
+      report.branchName,
+      report.branch !== null
+    );
+    report.checks["version-files"] = results;
+    report.versionFilesOutdated = versionFilesOutdated;
+  }
+
+  checkRelease(report, releases, expectPrerelease) {
+    const { result, release } = this.release(releases, report.tagName, expectPrerelease);
+    report.release = release;
+    report.checks["github-release"] = [result, ...this.assets(release)];
+  }
+
+  branchExists(branchName, branch) {
+    return branch
+      ? ReleaseChecks.result("success", "", {
+          url: `${this.repoURL}/tree/${branchName}`,
+          text: `Branch ${branchName} found`,
+        })
+      : ReleaseChecks.result("danger", "Branch missing, run command to create branch");
+  }
+
+  // One result per version file of the profile; versionFilesOutdated is true when any of them still needs bumping
+  async versionFiles(version, branchName, branchExists) {
+    const versionFiles = ProfileUtils.versionFiles(this.profile);
+    const expectedVersion = version.replace(/^v/, "");
+    let versionFilesOutdated = false;
+
+    if (!branchExists) {
+      const results = versionFiles.map((file) => ReleaseChecks.result("danger", `Branch missing (${file.path})`));
+      return { results, versionFilesOutdated };
+    }
+
+    // Each path is fetched once even when several keys in it are checked
+    const paths = [...new Set(versionFiles.map((file) => file.path))];
+    const contents = new Map(
+      await Promise.all(
+        paths.map(async (path) => [
+          path,
+          // Missing files resolve to null, other failures to the error so the check can offer a retry
+          await this.api
+            .getFileContent(this.owner, this.repo, path, branchName)
+            .catch((error) => (error instanceof NotFoundError ? null : error)),
+        ])
+      )
+    );
+
+    const results = versionFiles.map((file) => {
+      const content = contents.get(file.path);
+      const label = `${file.path} ${VersionFileUtils.describe(file)}`;
+
+      if (content instanceof Error) {
+        return ReleaseChecks.errorResult(content);
+      }
+      if (!content) {
+        return ReleaseChecks.result("danger", `${file.path} not found on ${branchName}`);
+      }
+
+      let found = null;
+      try {
+        found = VersionFileUtils.extract(content.text, file);
+      } catch (error) {
+        return ReleaseChecks.result("danger", `Error parsing ${file.path}: ${error.message}`);
+      }
+      if (!found) {
+        return ReleaseChecks.result("danger", `${label} not found`);
+      }
+
+      // Link to the line when the format knows it
+      const url = `${this.repoURL}/blob/${branchName}/${file.path}${found.line ? `#L${found.line}` : ""}`;
+      const actualVersion = found.value.replace(/^v/, "");
+      if (actualVersion === expectedVersion) {
+        return ReleaseChecks.result("success", "", { url, text: `${label} == v${expectedVersion}` });
+      }
+      versionFilesOutdated = true;
+      return ReleaseChecks.result("danger", ` (currently v${actualVersion})`, {
+        url,
+        text: `${label} != v${expectedVersion}`,
+      });
+    });
+
+    return { results, versionFilesOutdated };
+  }
+
+  // Commits on the release branch that aren't in the pre-release it was cut from: { base, commits, compareURL, error }
+  async cherryPicks(base, branchName) {
+    const compareURL = `${this.repoURL}/compare/${base}...${branchName}`;
+    try {
+      const comparison = await this.api.compareCommits(this.owner, this.repo, base, branchName);
+      return comparison
+        ? { base, commits: comparison.commits || [], compareURL, error: null }
+        : { base, commits: [], compareURL, error: `${base} not found` };
+    } catch (error) {
+      return { base, commits: [], compareURL, error: `Could not compare ${base}...${branchName}: ${error.message}` };
+    }
+  }
+
+  // { result, checks, blockedReason }: checks are the branch head's CI checks, each flagged as required or not
+  async ci(branch) {
+    if (!branch) {
+      return { result: ReleaseChecks.result("danger", "Release branch missing"), checks: [], blockedReason: null };
+    }
+
+    const sha = branch.commit.sha;
+    let checks;
+    try {
+      const [combinedStatus, checkRuns] = await Promise.all([
+        this.api.getCombinedStatus(this.owner, this.repo, sha),
+        this.api.getCheckRuns(this.owner, this.repo, sha),
+      ]);
+      checks = ReleaseChecks.normalizeCIChecks(combinedStatus, checkRuns);
+    } catch (error) {
+      return { result: ReleaseChecks.errorResult(error), checks: [], blockedReason: "CI status could not be checked" };
+    }
+
+    const protection = branch.protection && branch.protection.required_status_checks;
+    const requiredContexts = protection && protection.contexts ? protection.contexts : [];
+    checks.forEach((check) => {
+      check.required = requiredContexts.length === 0 || requiredContexts.includes(check.name);
+    });
+    // Required contexts that haven't reported yet (as right after a push) still block publishing
+    requiredContexts
+      .filter((context) => !checks.some((check) => check.name === context))
+      .forEach((context) => {
+        checks.push({ name: context, state: "pending", detail: "not reported yet", url: null, required: true });
+      });
+
+    const required = checks.filter((check) => check.required);
+    const failing = required.filter((check) => check.state === "failure");
+    const pending = required.filter((check) => check.state === "pending");
+    const shortSha = sha.substring(0, 7);
+
+    if (checks.length === 0) {
+      return {
+        result: ReleaseChecks.result("success", `No CI checks reported for ${shortSha}`),
+        checks,
+        blockedReason: null,
+      };
+    }
+    if (failing.length > 0) {
+      return {
+        result: ReleaseChecks.result("danger", `${failing.length} required check(s) failing on ${shortSha}`),
+        checks,
+        blockedReason: `${failing.length} required check(s) failing`,
+      };
+    }
+    if (pending.length > 0) {
+      return {
+        result: ReleaseChecks.result("pending", `${pending.length} required check(s) pending on ${shortSha}`),
+        checks,
+        blockedReason: `${pending.length} required check(s) still running`,
+      };
+    }
+    return {
+      result: ReleaseChecks.result("success", `All ${required.length} required check(s) passed on ${shortSha}`),
+      checks,
+      blockedReason: null,
+    };
+  }
+
+  // Merges legacy commit statuses and check runs into { name, state, detail, url }
+  static normalizeCIChecks(combinedStatus, checkRuns) {
+    const statuses = combinedStatus.statuses.map((status) => ({
+      name: status.context,
+      state: status.state === "success" ? "success" : status.state === "pending" ? "pending" : "failure",
+      detail: status.description || status.state,
+      url: status.target_url,
+    }));
+
+    const runs = checkRuns.check_runs.map((run) => {
+      let state = "pending";
+      if (run.status === "completed") {
+        state = ["success", "neutral", "skipped"].includes(run.conclusion) ? "success" : "failure";
+      }
+      return {
+        name: run.name,
+        state,
+        detail: run.status === "completed" ? run.conclusion : run.status.replace("_", " "),
+        url: run.html_url || run.details_url,
+      };
+    });
+
+    return [...statuses, ...runs].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // { result, release }; drafts count as existing but fail the check
+  release(releases, tagName, expectPrerelease) {
+    const release = releases.find((candidate) => candidate.tag_name === tagName) || null;
+    const kind = expectPrerelease ? "Pre-release" : "Release";
+    if (!release) {
+      return { result: ReleaseChecks.result("danger", `GitHub ${kind.toLowerCase()} ${tagName} not found`), release };
+    }
+
+    // Drafts aren't reachable under /releases/tag/ yet
+    const url = release.draft
+      ? release.html_url || `${this.repoURL}/releases`
+      : `${this.repoURL}/releases/tag/${tagName}`;
+    const link = { url, text: `${kind} ${tagName}` };
+    if (release.draft) {
+      return { result: ReleaseChecks.result("danger", " is still a draft", link), release };
+    }
+    if (expectPrerelease && !release.prerelease) {
+      return {
+        result: ReleaseChecks.result("danger", " is published as a stable release, not a pre-release", link),
+        release,
+      };
+    }
+    if (!expectPrerelease && release.prerelease) {
+      return {
+        result: ReleaseChecks.result("danger", " is marked as a pre-release, but this is a stable promotion", link),
+        release,
+      };
+    }
+    return { result: ReleaseChecks.result("success", " published", link), release };
+  }
+
+  // A deleted release counts as demoted too
+  demoted(tagName, release) {
+    if (!release) {
+      return ReleaseChecks.result("success", `Release ${tagName} is no longer listed`);
+    }
+
+    const link = { url: release.html_url || `${this.repoURL}/releases`, text: `Release ${tagName}` };
+    if (release.draft) {
+      return ReleaseChecks.result("success", " reverted to a draft", link);
+    }
+    if (release.prerelease) {
+      return ReleaseChecks.result("success", " marked as a pre-release", link);
+    }
+    return ReleaseChecks.result("danger", " is still published as a stable release", link);
+  }
+
+  async latest(tagName) {
+    let latest;
+    try {
+      latest = await this.api.getLatestRelease(this.owner, this.repo);
+    } catch (error) {
+      return error instanceof NotFoundError
+        ? ReleaseChecks.result("danger", `No release is marked as latest, expected ${tagName}`)
+        : ReleaseChecks.errorResult(error);
+    }
+
+    const link = { url: `${this.repoURL}/releases/latest`, text: "Latest release" };
+    return latest.tag_name === tagName
+      ? ReleaseChecks.result("success", ` is ${tagName}`, link)
+      : ReleaseChecks.result("danger", ` is ${latest.tag_name}, expected ${tagName}`, link);
+  }
+
+  // One result per expected asset pattern: name, size, download count and upload state
+  assets(release) {
+    return ProfileUtils.expectedAssets(this.profile).map((pattern) => {
+      if (!release) {
+        return ReleaseChecks.result("danger", `${pattern}: release missing`);
+      }
+
+      const [asset, ...others] = AssetUtils.match(pattern, release.assets || []);
+      if (!asset) {
+        return ReleaseChecks.result("danger", `No asset matching ${pattern}`);
+      }
+
+      const more = others.length ? ` (+${others.length} more matching)` : "";
+      const details = ` · ${AssetUtils.formatSize(asset.size)} · ${asset.download_count} download(s)${more}`;
+      const link = { url: asset.browser_download_url, text: asset.name };
+      // "starter" means the upload never completed
+      return asset.state !== "uploaded"
+        ? ReleaseChecks.result("pending", ` upload ${asset.state}${details}`, link)
+        : ReleaseChecks.result("success", details, link);
+    });
+  }
+}
+
+// DOM helpers: API data (tag names, branch names, commit messages) is only ever inserted as text
+class DomUtils {
+  static element(tagName, text = "", className = "") {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) {
+      element.className = className;
+    }
+    return element;
+  }
+
+  static link(href, text, className = "") {
+    const link = this.element("a", text, className);
+    link.href = href;
+    link.target = "_blank";
+    return link;
+  }
+}
+
+// Main App
+class ReleaseApp {
+  // transport replaces fetch for every GitHub request (see GitHubAPI); demo mode overrides it with FakeGitHub
+  constructor({ transport = fetchTransport } = {}) {
+    this.server = ServerUtils.resolve(DEFAULT_WEB_URL);
+    this.transport = transport;
+    this.demoBackend = null;
+    TokenStore.migrate();
+    this.api = new GitHubAPI(TokenStore.load(this.server.apiURL), this.server.apiURL, transport);
+    this.api.onRateLimitChange = (rateLimit) => this.renderRateLimit(rateLimit);
+    this.currentRepo = null;
+    this.analysisId = 0;
+    this.repoData = null;
+    this.releases = null;
+    this.profileId = DEFAULT_PROFILE_ID;
+    this.ciPollTimer = null;
+    this.ciPollId = 0;
+    this.publishBlocked = false;
+    this.targetReleaseExists = false;
+    this.cherryPickCandidates = [];
+    this.commitDetailsCache = new Map();
+    this.commitPullCache = new Map();
+    this.cherryPickRenderId = 0;
+    this.checkQueue = Promise.resolve();
+    this.checkRequestIds = {};
+    this.checkSnapshots = {};
+    this.autoRefreshTimer = null;
+    this.dashboardApis = new Map();
+    this.dashboardRefreshId = 0;
+    this.promotionSummaryId = 0;
+    this.rollbackPlan = null;
+    this.releaseNotesKey = null;
+    this.versionWarningIds = {};
+
+    this.initProfileSelect();
+    this.initSettings();
+    this.initDemoMode();
+    this.initAutoRefresh();
+    this.initChecklist();
+    this.initDashboard();
+    this.initEventListeners();
+  }
+
+  get profile() {
+    return ProfileUtils.get(this.profileId);
+  }
+
+  initProfileSelect() {
+    const select = document.getElementById("profile-select");
+    const historyFilter = document.getElementById("history-filter");
+    Object.entries(RELEASE_PROFILES).forEach(([id, profile]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = profile.tagSuffix ? `${profile.name} (*${profile.tagSuffix})` : profile.name;
+      select.appendChild(option);
+      historyFilter.appendChild(option.cloneNode(true));
+    });
+    select.value = this.profileId;
+  }
+
+  async changeProfile(profileId) {
+    this.profileId = profileId;
+    if (this.releases) {
+      await this.updateCurrentStatus();
+      this.renderReleaseHistory();
+      this.syncURL();
+    }
+  }
+
+  // Reads ?repo=&profile=&target=&from= and analyzes that repo, falling back to the repo input's default
+  restoreFromURL() {
+    const params = new URLSearchParams(window.location.search);
+
+    if (params.get("repo")) {
+      document.getElementById("repo-input").value = params.get("repo");
+    }
+    const profileId = params.get("profile");
+    this.profileId = RELEASE_PROFILES[profileId] ? profileId : DEFAULT_PROFILE_ID;
+    document.getElementById("profile-select").value = this.profileId;
+    this.requestedVersions = { target: params.get("target"), from: params.get("from") };
+    const server =
+      params.get("server") || params.get("api") ? ServerUtils.resolve(params.get("server"), params.get("api")) : null;
+    if (server && !this.confirmServer(server)) {
+      this.showError("repo-error", `Not connected to ${server.webURL}: the server from the link was not confirmed`);
+      return;
+    }
+
+    return this.analyzeRepo({ pushHistory: false, server });
+  }
+
+  syncURL({ push = false } = {}) {
+    if (!this.currentRepo) {
+      return;
+    }
+
+    const { owner, repo } = this.currentRepo;
+    const params = new URLSearchParams({ repo: `${owner}/${repo}`, profile: this.profileId });
+    if (!ServerUtils.isDefault(this.server)) {
+      params.set("server", this.server.webURL);
+      if (this.server.apiURL !== ServerUtils.apiFromWeb(this.server.webURL)) {
+        params.set("api", this.server.apiURL);
+      }
+    }
+    const target = document.getElementById("target-release-version").value.trim();
+    const from = document.getElementById("from-prerelease-version").value.trim();
+    if (target && VersionUtils.isValidSemver(target)) {
+      params.set("target", target);
+    }
+    if (from) {
+      params.set("from", from);
+    }
+
+    // Slashes and colons are valid in query strings, so keep "owner/repo" and server URLs readable
+    const query = params.toString().replace(/%2F/g, "/").replace(/%3A/g, ":");
+    const url = `${window.location.pathname}?${query}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      return;
+    }
+    // New analyses get their own history entry; input edits just update the current one
+    if (push) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }
+
+  initSettings() {
+    this.renderToken();
+
+    const maxPagesInput = document.getElementById("max-release-pages");
+    maxPagesInput.value = Preferences.get("max-release-pages", DEFAULT_MAX_RELEASE_PAGES);
+    maxPagesInput.addEventListener("change", () => {
+      const maxPages = Math.max(1, parseInt(maxPagesInput.value) || DEFAULT_MAX_RELEASE_PAGES);
+      maxPagesInput.value = maxPages;
+      Preferences.set("max-release-pages", maxPages);
+      this.reanalyze();
+    });
+
+    ["web-url-input", "api-url-input"].forEach((id) => {
+      document.getElementById(id).addEventListener("change", () => this.changeServer());
+    });
+    this.renderServer();
+
+    document.getElementById("save-token-btn").addEventListener("click", () => this.saveToken());
+    document.getElementById("clear-token-btn").addEventListener("click", () => this.clearToken());
+  }
+
+  initDemoMode() {
+    const toggle = document.getElementById("demo-mode-toggle");
+    toggle.checked = Preferences.get("demo-mode", false);
+    toggle.addEventListener("change", () => this.setDemoMode(toggle.checked));
+    this.applyDemoMode(toggle.checked);
+    if (toggle.checked) {
+      document.getElementById("repo-input").value = DEMO_REPO;
+    }
+  }
+
+  // Demo mode answers every request from FakeGitHub's sample repository, so the app can be tried offline.
+  // The sample data starts fresh each time demo mode is turned on.
+  applyDemoMode(enabled) {
+    this.demoBackend = enabled ? new FakeGitHub(DEMO_FIXTURES) : null;
+    this.api.setTransport(enabled ? this.demoBackend.transport : this.transport);
+    this.dashboardApis.clear();
+    document.getElementById("demo-banner").textContent = enabled
+      ? `🧪 Demo mode: sample data for ${DEMO_REPO}, nothing is sent to GitHub. Turn it off in Settings.`
+      : "";
+    document.getElementById("demo-banner").classList.toggle("hidden", !enabled);
+  }
+
+  setDemoMode(enabled) {
+    Preferences.set("demo-mode", enabled);
+    this.applyDemoMode(enabled);
+
+    const repoInput = document.getElementById("repo-input");
+    repoInput.value = enabled ? DEMO_REPO : repoInput.defaultValue;
+    this.analyzeRepo();
+  }
+
+  getServerInput() {
+    return ServerUtils.resolve(
+      document.getElementById("web-url-input").value,
+      document.getElementById("api-url-input").value
+    );
+  }
+
+  // Edited server URLs apply to the current repository and are remembered for it
+  changeServer() {
+    this.setServer(this.getServerInput());
+    if (this.currentRepo) {
+      const { owner, repo } = this.currentRepo;
+      Preferences.set(`server:${owner}/${repo}`, this.server);
+      this.reanalyze();
+    }
+  }
+
+  // Each server gets only the token saved for it in Settings
+  setServer(server) {
+    this.server = server;
+    this.api.setBaseURL(server.apiURL);
+    const token = TokenStore.load(server.apiURL);
+    if (token !== this.api.token) {
+      this.api.setToken(token);
+    }
+    this.renderServer();
+    this.renderToken();
+  }
+
+  // Servers named by a link, a pasted URL or an imported file need the user's go-ahead, unless they are GitHub.com,
+  // the current server or one with a token saved in Settings
+  confirmServer(server) {
+    if (ServerUtils.isDefault(server) || server.apiURL === this.server.apiURL || TokenStore.load(server.apiURL)) {
+      return true;
+    }
+    return window.confirm(
+      `Connect to ${server.webURL} (API: ${server.apiURL})?\n\n` +
+        "This server comes from a link or file, not from your settings. No token is sent to it unless you save one for it in Settings."
+    );
+  }
+
+  // Defaults stay as placeholders so the fields only show what differs from GitHub.com
+  renderServer() {
+    const detectedApiURL = ServerUtils.apiFromWeb(this.server.webURL);
+    const webInput = document.getElementById("web-url-input");
+    const apiInput = document.getElementById("api-url-input");
+    webInput.value = this.server.webURL === DEFAULT_WEB_URL ? "" : this.server.webURL;
+    apiInput.value = this.server.apiURL === detectedApiURL ? "" : this.server.apiURL;
+    apiInput.placeholder = `API URL (detected: ${detectedApiURL})`;
+  }
+
+  repoWebURL(owner, repo) {
+    return `${this.server.webURL}/${owner}/${repo}`;
+  }
+
+  saveToken() {
+    const token = document.getElementById("token-input").value.trim();
+    if (!token) {
+      return this.clearToken();
+    }
+
+    TokenStore.save(this.server.apiURL, token, document.getElementById("token-session-only").checked);
+    this.api.setToken(token);
+    this.renderTokenStatus();
+    return this.reanalyze();
+  }
+
+  clearToken() {
+    TokenStore.clear(this.server.apiURL);
+    this.api.setToken(null);
+    document.getElementById("token-input").value = "";
+    document.getElementById("token-session-only").checked = false;
+    this.renderTokenStatus();
+    return this.reanalyze();
+  }
+
+  async reanalyze() {
+    if (this.currentRepo) {
+      await this.analyzeRepo({ pushHistory: false });
+    }
+  }
+
+  renderToken() {
+    document.getElementById("token-input").value = this.api.token || "";
+    document.getElementById("token-session-only").checked = TokenStore.isSessionOnly(this.server.apiURL);
+    this.renderTokenStatus();
+  }
+
+  renderTokenStatus() {
+    document.querySelectorAll(".api-action").forEach((button) => button.classList.toggle("hidden", !this.api.token));
+
+    const status = document.getElementById("token-status");
+    const host = new URL(this.server.apiURL).host;
+    if (!this.api.token) {
+      status.textContent = `No token set for ${host} — using anonymous access (60 requests/hour, public repos only)`;
+    } else if (TokenStore.isSessionOnly(this.server.apiURL)) {
+      status.textContent = `Token for ${host} saved for this browser session only`;
+    } else {
+      status.textContent = `Token for ${host} saved in this browser`;
+    }
+  }
+
+  renderRateLimit(rateLimit) {
+    const element = document.getElementById("rate-limit-status");
+    const resetTime = rateLimit.reset.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+
+    element.textContent = `API quota: ${rateLimit.remaining}/${rateLimit.limit} · resets ${resetTime}`;
+    element.classList.toggle("low", rateLimit.remaining < rateLimit.limit * 0.1);
+  }
+
+  initEventListeners() {
+    document.getElementById("analyze-btn").addEventListener("click", () => this.analyzeRepo());
+    document.getElementById("repo-input").addEventListener("keypress", (e) => {
+      if (e.key === "Enter") this.analyzeRepo();
+    });
+    document.getElementById("profile-select").addEventListener("change", (e) => this.changeProfile(e.target.value));
+    window.addEventListener("popstate", () => this.restoreFromURL());
+    document.getElementById("history-filter").addEventListener("change", () => this.renderReleaseHistory());
+    document.getElementById("target-release-version").addEventListener("input", () => this.validateVersion());
+    document.getElementById("prerelease-version").addEventListener("input", () => this.validatePrereleaseVersion());
+    document
+      .getElementById("prerelease-source-branch")
+      .addEventListener("input", () => this.validatePrereleaseVersion());
+    document.getElementById("create-branch-action").addEventListener("click", () => this.createReleaseBranch());
+    document.getElementById("bump-version-action").addEventListener("click", () => this.commitVersionBump());
+    document.getElementById("create-draft-release-action").addEventListener("click", () => this.createRelease(true));
+    document.getElementById("publish-release-action").addEventListener("click", () => this.createRelease(false));
+    document.getElementById("generate-notes-btn").addEventListener("click", () => this.generateNotesPreview());
+    document.getElementById("find-cherry-picks-btn").addEventListener("click", () => this.findCherryPickCandidates());
+    ["cherry-pick-label-filter", "cherry-pick-message-filter", "cherry-pick-hide-applied"].forEach((id) => {
+      document.getElementById(id).addEventListener("input", () => this.renderCherryPickCandidates());
+    });
+    document.getElementById("release-notes-input").addEventListener("input", () => this.renderNotesPreview());
+    document.getElementById("from-prerelease-version").addEventListener("input", () => this.validateVersion());
+    document.getElementById("from-prerelease-version").addEventListener("change", () => this.renderPromotionSummary());
+    document.getElementById("rollback-bad-release").addEventListener("change", () => this.selectRollbackRelease());
+    document.getElementById("rollback-good-release").addEventListener("change", () => this.generateRollbackSteps());
+    document
+      .getElementById("rollback-prerelease-action")
+      .addEventListener("click", () => this.demoteRelease({ prerelease: true }));
+    document
+      .getElementById("rollback-draft-action")
+      .addEventListener("click", () => this.demoteRelease({ draft: true }));
+    document.getElementById("rollback-latest-action").addEventListener("click", () => this.markLatestRelease());
+    document.getElementById("rollback-branch-action").addEventListener("click", () => this.createEmergencyBranch());
+    document.getElementById("rollback-promote-btn").addEventListener("click", () => this.continueInPromotionFlow());
+    document.getElementById("run-ref-audit-btn").addEventListener("click", () => this.runRefAudit());
+
+    // Copy functionality
+    window.copyToClipboard = (elementId) => {
+      const element = document.getElementById(elementId);
+      const text = element.value !== undefined ? element.value : element.textContent;
+
+      // Clear any existing selection to prevent text highlighting
+      window.getSelection().removeAllRanges();
+
+      navigator.clipboard
+        .writeText(text)
+        .then(() => {
+          const button = element.nextElementSibling;
+          const originalText = button.textContent;
+
+          // Add copied class and change text
+          button.classList.add("copied");
+          button.textContent = "Copied";
+
+          setTimeout(() => {
+            button.classList.remove("copied");
+            button.textContent = originalText;
+          }, 1500);
+        })
+        .catch(() => {
+          // Fallback for older browsers
+          const textArea = document.createElement("textarea");
+          textArea.value = text;
+          textArea.style.position = 'fixed';
+          textArea.style.left = '-999999px';
+          textArea.style.top = '-999999px';
+          document.body.appendChild(textArea);
+          textArea.focus();
+          textArea.select();
+
+          try {
+            document.execCommand('copy');
+            const button = element.nextElementSibling;
+            const originalText = button.textContent;
+            button.classList.add("copied");
+            button.textContent = "Copied";
+            setTimeout(() => {
+              button.classList.remove("copied");
+              button.textContent = originalText;
+            }, 1500);
+          } catch (err) {
+            console.warn('Copy fallback failed:', err);
+            // Show error feedback
+            const button = element.nextElementSibling;
+            const originalText = button.textContent;
+            button.textContent = "Copy failed";
+            setTimeout(() => {
+              button.textContent = originalText;
+            }, 1500);
+          } finally {
+            document.body.removeChild(textArea);
+          }
+        });
+    };
+  }
+
+  showLoading() {
+    document.getElementById("loading").classList.remove("hidden");
+  }
+
+  hideLoading() {
+    document.getElementById("loading").classList.add("hidden");
+  }
+
+  showError(elementId, message) {
+    const errorElement = document.getElementById(elementId);
+    errorElement.textContent = message;
+    errorElement.classList.add("show");
+  }
+
+  hideError(elementId) {
+    document.getElementById(elementId).classList.remove("show");
+  }
+
+  // Dashboard: one summary row per saved repo and profile
+  initDashboard() {
+    const profileSelect = document.getElementById("dashboard-profile-select");
+    [...document.getElementById("profile-select").options].forEach((option) => {
+      profileSelect.appendChild(option.cloneNode(true));
+    });
+    profileSelect.value = DEFAULT_PROFILE_ID;
+
+    document.getElementById("dashboard-add-btn").addEventListener("click", () => this.addDashboardRepo());
+    document.getElementById("dashboard-repo-input").addEventListener("keypress", (e) => {
+      if (e.key === "Enter") this.addDashboardRepo();
+    });
+    document.getElementById("dashboard-refresh-btn").addEventListener("click", () => this.refreshDashboard());
+
+    if (this.getDashboardRepos().length) {
+      this.refreshDashboard();
+    }
+  }
+
+  getDashboardRepos() {
+    const entries = Preferences.get("dashboard-repos", []);
+    return Array.isArray(entries) ? entries.filter((entry) => entry && /^[^/]+\/[^/]+$/.test(entry.repo)) : [];
+  }
+
+  addDashboardRepo() {
+    const input = document.getElementById("dashboard-repo-input");
+    const profileId = document.getElementById("dashboard-profile-select").value;
+    this.hideError("dashboard-error");
+
+    const { owner, repo, server } = ServerUtils.parseRepoInput(input.value);
+    if (!owner || !repo) {
+      this.showError("dashboard-error", "Please use format: owner/repo or a repository URL");
+      return;
+    }
+
+    const entries = this.getDashboardRepos();
+    const repoName = `${owner}/${repo}`;
+    if (entries.some((entry) => entry.repo === repoName && entry.profile === profileId)) {
+      this.showError(
+        "dashboard-error",
+        `${repoName} (${ProfileUtils.get(profileId).name}) is already on the dashboard`
+      );
+      return;
+    }
+
+    if (server) {
+      Preferences.set(`server:${repoName}`, server);
+    }
+    entries.push({ repo: repoName, profile: profileId });
+    Preferences.set("dashboard-repos", entries);
+    input.value = "";
+    this.refreshDashboard();
+  }
+
+  removeDashboardRepo(index) {
+    Preferences.set(
+      "dashboard-repos",
+      this.getDashboardRepos().filter((entry, entryIndex) => entryIndex !== index)
+    );
+    this.refreshDashboard();
+  }
+
+  getSavedServer(repoName) {
+    const saved = Preferences.get(`server:${repoName}`, null);
+    return saved ? ServerUtils.resolve(saved.webURL, saved.apiURL) : ServerUtils.resolve(DEFAULT_WEB_URL);
+  }
+
+  // One client per server, kept between refreshes so their ETag caches make repeat refreshes cheap; each one uses
+  // the token saved for its server
+  getDashboardApi(server) {
+    const token = TokenStore.load(server.apiURL);
+    if (!this.dashboardApis.has(server.apiURL)) {
+      const api = new GitHubAPI(token, server.apiURL, this.api.transport);
+      api.onRateLimitChange = (rateLimit) => this.renderRateLimit(rateLimit);
+      this.dashboardApis.set(server.apiURL, api);
+    }
+
+    const api = this.dashboardApis.get(server.apiURL);
+    if (api.token !== token) {
+      api.setToken(token);
+    }
+    return api;
+  }
+
+  async refreshDashboard() {
+    const entries = this.getDashboardRepos();
+    const refreshId = ++this.dashboardRefreshId;
+    const status = document.getElementById("dashboard-status");
+    const tbody = document.getElementById("dashboard-body");
+
+    document.getElementById("dashboard-table-wrapper").classList.toggle("hidden", entries.length === 0);
+    tbody.innerHTML = "";
+    if (entries.length === 0) {
+      status.textContent = "Add repositories to compare their release state at a glance";
+      return;
+    }
+
+    entries.forEach((entry, index) => {
+      const row = tbody.insertRow();
+      row.className = "dashboard-row";
+      this.renderDashboardRow(row, entry, index, null);
+    });
+    status.textContent = `Loading ${entries.length} repo(s)...`;
+
+    await AsyncUtils.mapWithLimit(entries, DASHBOARD_CONCURRENCY, async (entry, index) => {
+      const summary = await this.loadDashboardSummary(entry).catch((error) => ({ error }));
+      // A newer refresh owns the table now
+      if (refreshId === this.dashboardRefreshId) {
+        this.renderDashboardRow(tbody.rows[index], entry, index, summary);
+      }
+    });
+
+    if (refreshId === this.dashboardRefreshId) {
+      const time = new Date().toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+      status.textContent = `${entries.length} repo(s) · updated ${time}`;
+    }
+  }
+
+  async loadDashboardSummary(entry) {
+    const [owner, repo] = entry.repo.split("/");
+    const profile = ProfileUtils.get(entry.profile);
+    const api = this.getDashboardApi(this.getSavedServer(entry.repo));
+
+    const releases = await api.getReleases(
+      owner,
+      repo,
+      Preferences.get("max-release-pages", DEFAULT_MAX_RELEASE_PAGES)
+    );
+    const profileReleases = ProfileUtils.sortedReleases(profile, releases);
+    const latestRelease = profileReleases.find((release) => !release.prerelease) || null;
+    const latestPrerelease = profileReleases.find((release) => release.prerelease) || null;
+
+    // Same default target as the detailed view: the patch after the latest stable release
+    let nextPatch = null;
+    if (latestRelease) {
+      const version = VersionUtils.increment(ProfileUtils.stripSuffix(profile, latestRelease.tag_name), "patch");
+      const branchName = ProfileUtils.releaseBranch(profile, version);
+      const tagName = ProfileUtils.tagName(profile, version);
+      nextPatch = {
+        version,
+        branchName,
+        branchExists: await api.checkBranchExists(owner, repo, branchName),
+        release: releases.find((release) => release.tag_name === tagName) || null,
+      };
+    }
+
+    return { latestRelease, latestPrerelease, nextPatch };
+  }
+
+  // summary is null while loading, or { error } when the repo couldn't be loaded
+  renderDashboardRow(row, entry, index, summary) {
+    const profile = ProfileUtils.get(entry.profile);
+    const server = this.getSavedServer(entry.repo);
+    const webURL = `${server.webURL}/${entry.repo}`;
+    row.replaceChildren();
+
+    const repoCell = row.insertCell();
+    repoCell.append(DomUtils.element("span", entry.repo, "dashboard-repo"));
+    const host = ServerUtils.isDefault(server) ? "" : ` · ${new URL(server.webURL).host}`;
+    repoCell.append(DomUtils.element("small", `${profile.name}${host}`, "dashboard-detail"));
+
+    if (!summary || summary.error) {
+      const cell = row.insertCell();
+      cell.colSpan = 4;
+      cell.className = summary ? "dashboard-row-error" : "history-empty";
+      cell.textContent = summary ? `⚠️ ${summary.error.message}` : "Loading...";
+    } else {
+      [summary.latestRelease, summary.latestPrerelease].forEach((release) => {
+        const cell = row.insertCell();
+        if (!release) {
+          cell.textContent = "-";
+          return;
+        }
+        const daysAgo = this.calculateDaysAgo(new Date(release.published_at));
+        cell.append(
+          DomUtils.link(`${webURL}/releases/tag/${release.tag_name}`, release.tag_name, "release-link"),
+          DomUtils.element("small", `${daysAgo} days ago`, "dashboard-detail")
+        );
+      });
+
+      const { nextPatch } = summary;
+      const branchCell = row.insertCell();
+      const publishedCell = row.insertCell();
+      if (!nextPatch) {
+        branchCell.textContent = "-";
+        publishedCell.textContent = "-";
+      } else {
+        branchCell.append(
+          nextPatch.branchExists
+            ? DomUtils.link(`${webURL}/tree/${nextPatch.branchName}`, `✅ ${nextPatch.branchName}`, "branch-link")
+            : `❌ ${nextPatch.branchName}`,
+          DomUtils.element("small", nextPatch.branchExists ? "created" : "not created yet", "dashboard-detail")
+        );
+
+        const { release } = nextPatch;
+        if (!release) {
+          publishedCell.textContent = `❌ ${nextPatch.version} not published`;
+        } else {
+          const state = release.draft ? "📝 Draft" : "✅ Published";
+          publishedCell.append(
+            DomUtils.link(release.html_url || `${webURL}/releases`, `${state} ${nextPatch.version}`)
+          );
+        }
+      }
+    }
+
+    const removeButton = DomUtils.element("button", "Remove", "btn btn-small");
+    removeButton.addEventListener("click", () => this.removeDashboardRepo(index));
+    row.insertCell().appendChild(removeButton);
+
+    row.onclick = (e) => {
+      if (!e.target.closest("a, button")) {
+        this.openDashboardRepo(row, entry);
+      }
+    };
+  }
+
+  // Loads the repo into the detailed view below, as if it had been entered in the repository field
+  async openDashboardRepo(row, entry) {
+    document.querySelectorAll(".dashboard-row.active").forEach((activeRow) => activeRow.classList.remove("active"));
+    row.classList.add("active");
+
+    this.profileId = RELEASE_PROFILES[entry.profile] ? entry.profile : DEFAULT_PROFILE_ID;
+    document.getElementById("profile-select").value = this.profileId;
+    document.getElementById("repo-input").value = entry.repo;
+    await this.analyzeRepo({ server: this.getSavedServer(entry.repo) });
+    document.getElementById("current-status").scrollIntoView({ behavior: "smooth" });
+  }
+
+  async analyzeRepo({ pushHistory = true, server = null } = {}) {
+    const repoInput = document.getElementById("repo-input").value.trim();
+    this.hideError("repo-error");
+
+    if (!repoInput) {
+      this.showError("repo-error", "Please enter a repository name");
+      return;
+    }
+
+    const { owner, repo, server: inputServer } = ServerUtils.parseRepoInput(repoInput);
+    if (!owner || !repo) {
+      this.showError("repo-error", "Please use format: owner/repo or a repository URL");
+      return;
+    }
+    if (inputServer && !this.confirmServer(inputServer)) {
+      this.showError("repo-error", `Not connected to ${inputServer.webURL}: the server was not confirmed`);
+      return;
+    }
+
+    // Requests started for an earlier analysis, such as an auto-refresh in flight, drop their results from here on
+    this.analysisId++;
+
+    // A repository URL names its server; otherwise use the one remembered for this repo, then the settings fields
+    const savedServer = Preferences.get(`server:${owner}/${repo}`, null);
+    this.setServer(inputServer || server || savedServer || this.getServerInput());
+    document.getElementById("repo-input").value = `${owner}/${repo}`;
+
+    this.showLoading();
+
+    try {
+      // Fetch initial data in parallel
+      const [repoData, releases] = await Promise.all([
+        this.api.getRepo(owner, repo),
+        this.api.getReleases(owner, repo, Preferences.get("max-release-pages", DEFAULT_MAX_RELEASE_PAGES)),
+      ]);
+
+      this.repoData = repoData;
+      this.releases = releases;
+
+      this.currentRepo = { owner, repo };
+      Preferences.set(`server:${owner}/${repo}`, this.server);
+      await this.updateCurrentStatus();
+      this.renderReleaseHistory();
+      this.showSection("current-status");
+      this.showSection("release-history");
+      this.showSection("plan-release");
+      this.showSection("plan-prerelease");
+      this.showSection("rollback");
+      this.showSection("ref-audit");
+      this.syncURL({ push: pushHistory });
+    } catch (error) {
+      const message =
+        error instanceof NotFoundError
+          ? `${owner}/${repo} not found${this.api.token ? "" : " (private repositories need a token)"}`
+          : error.message;
+      this.showError("repo-error", `Failed to fetch repository: ${message}`);
+    } finally {
+      this.hideLoading();
+    }
+  }
+
+  renderLatestReleases() {
+    // Filter releases belonging to the selected profile
+    const profileReleases = this.getProfileReleases();
+
+    const latestRelease = profileReleases.find((release) => !release.prerelease);
+    const latestPrerelease = profileReleases.find((release) => release.prerelease);
+
+    const { owner, repo } = this.currentRepo;
+
+    // Update latest release with hyperlink and date
+    const latestReleaseElement = document.getElementById("latest-release");
+    const releaseDateElement = document.getElementById("release-date");
+    if (latestRelease) {
+      const releaseUrl = `${this.repoWebURL(owner, repo)}/releases/tag/${latestRelease.tag_name}`;
+      latestReleaseElement.replaceChildren(DomUtils.link(releaseUrl, latestRelease.tag_name, "release-link"));
+      const releaseDate = new Date(latestRelease.published_at);
+      const daysAgo = this.calculateDaysAgo(releaseDate);
+      const formattedDate = releaseDate.toLocaleDateString("en-US", {
+        month: "numeric",
+        day: "numeric",
+        year: "numeric",
+      });
+
+      releaseDateElement.textContent = `${formattedDate} (${daysAgo} days ago)`;
+    } else {
+      latestReleaseElement.textContent = "No releases";
+      releaseDateElement.textContent = "";
+    }
+
+    // Update latest pre-release with hyperlink and date
+    const latestPrereleaseElement = document.getElementById("latest-prerelease");
+    const prereleaseDateElement = document.getElementById("prerelease-date");
+    if (latestPrerelease) {
+      const prereleaseUrl = `${this.repoWebURL(owner, repo)}/releases/tag/${latestPrerelease.tag_name}`;
+      latestPrereleaseElement.replaceChildren(DomUtils.link(prereleaseUrl, latestPrerelease.tag_name, "release-link"));
+      const prereleaseDate = new Date(latestPrerelease.published_at);
+      const daysAgo = this.calculateDaysAgo(prereleaseDate);
+      const formattedDate = prereleaseDate.toLocaleDateString("en-US", {
+        month: "numeric",
+        day: "numeric",
+        year: "numeric",
+      });
+
+      prereleaseDateElement.textContent = `${formattedDate} (${daysAgo} days ago)`;
+    } else {
+      latestPrereleaseElement.textContent = "No pre-releases";
+      prereleaseDateElement.textContent = "";
+    }
+
+    return { latestRelease, latestPrerelease };
+  }
+
+  async updateCurrentStatus() {
+    const { latestRelease, latestPrerelease } = this.renderLatestReleases();
+    this.preparePrereleaseWorkflow(latestRelease, latestPrerelease);
+
+    this.renderVersionSuggestions(latestRelease);
+
+    // Versions restored from a shared link take precedence over the suggested defaults
+    const requested = this.requestedVersions || {};
+    this.requestedVersions = null;
+    const requestedTarget = requested.target && VersionUtils.isValidSemver(requested.target) ? requested.target : null;
+
+    // Pre-fill version inputs and show release process
+    if (latestRelease || requestedTarget) {
+      const nextVersion = requestedTarget || this.getNextPatchVersion(latestRelease.tag_name);
+      document.getElementById("target-release-version").value = nextVersion;
+      this.renderVersionWarnings(nextVersion);
+
+      // Pre-fill from-version with latest pre-release
+      const fromVersion = requested.from || (latestPrerelease ? latestPrerelease.tag_name : "");
+      document.getElementById("from-prerelease-version").value = fromVersion;
+
+      // Automatically show release process with default version
+      this.generateReleaseSteps(nextVersion);
+      this.showSection("release-process");
+      this.checkReleaseSteps(nextVersion);
+    } else {
+      this.hideSection("release-process");
+    }
+
+    this.renderPromotionSummary();
+    this.prepareRollback();
+    this.resetRefAudit();
+  }
+
+  // Audit results belong to one repo and profile
+  resetRefAudit() {
+    this.refAuditId = (this.refAuditId || 0) + 1;
+    document.getElementById("ref-audit-status").textContent =
+      `Checks ${this.profile.name} release branches and tags against their GitHub releases`;
+    document.getElementById("ref-audit-findings").innerHTML = "";
+    document.getElementById("ref-audit-body").innerHTML = "";
+    this.hideSection("ref-audit-table-wrapper");
+  }
+
+  async runRefAudit() {
+    const { owner, repo } = this.currentRepo;
+    const profile = this.profile;
+    const auditId = ++this.refAuditId;
+    const button = document.getElementById("run-ref-audit-btn");
+    const status = document.getElementById("ref-audit-status");
+    const maxPages = Preferences.get("max-release-pages", DEFAULT_MAX_RELEASE_PAGES);
+
+    button.disabled = true;
+    status.textContent = "Listing branches and tags...";
+    try {
+      // Only branches that start like the template can match it, which keeps the listing short
+      const branchPrefix = profile.releaseBranchTemplate.split("{")[0];
+      const [heads, tagRefs] = await Promise.all([
+        this.api.getMatchingRefs(owner, repo, `heads/${branchPrefix}`, maxPages),
+        this.api.getMatchingRefs(owner, repo, "tags/", maxPages),
+      ]);
+      const audit = RefAudit.build(
+        profile,
+        heads.map((ref) => ref.ref.replace(/^refs\/heads\//, "")),
+        tagRefs.map((ref) => ref.ref.replace(/^refs\/tags\//, "")),
+        this.releases
+      );
+
+      // Commits after the tag need one compare per tagged release branch
+      status.textContent = "Comparing release branches with their tags...";
+      await AsyncUtils.mapWithLimit(
+        audit.branches.filter((branch) => branch.tagExists),
+        DASHBOARD_CONCURRENCY,
+        async (branch) => {
+          const comparison = await this.api.compareCommits(owner, repo, branch.tagName, branch.name);
+          branch.aheadBy = comparison ? comparison.ahead_by : 0;
+        }
+      );
+      if (auditId !== this.refAuditId) {
+        return;
+      }
+
+      const findings = this.collectAuditFindings(audit);
+      this.renderRefAudit(audit, findings);
+      status.textContent = `${audit.branches.length} release branch(es) and ${audit.tags.length} tag(s) checked · ${findings.length} finding(s)`;
+    } catch (error) {
+      if (auditId === this.refAuditId) {
+        status.textContent = `Audit failed: ${error.message}`;
+      }
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // Each finding: { refs, message, links: [{ href, text }], command }
+  collectAuditFindings(audit) {
+    const { owner, repo } = this.currentRepo;
+    const repoURL = this.repoWebURL(owner, repo);
+    const newReleaseURL = (tagName, target) =>
+      `${repoURL}/releases/new?${new URLSearchParams(target ? { tag: tagName, target } : { tag: tagName })}`;
+    const findings = [];
+
+    // The target's refs and those above the latest stable release are still on their way to a release, not
+    // leftovers. Pre-releases don't count: under the vscode scheme they sit on the minor above every stable patch.
+    const targetTag = this.targetVersion ? ProfileUtils.tagName(this.profile, this.targetVersion) : null;
+    const latestStableTag = this.getLatestStableTag();
+    const latestVersion = latestStableTag ? this.getTagVersion(latestStableTag) : null;
+    const isUpcoming = (tagName) => {
+      const version = this.getTagVersion(tagName);
+      return tagName === targetTag || (version && (!latestVersion || VersionUtils.compare(version, latestVersion) > 0));
+    };
+
+    audit.branches.forEach((branch) => {
+      const branchLink = { href: `${repoURL}/tree/${branch.name}`, text: `Branch ${branch.name}` };
+      if (!branch.release && isUpcoming(branch.tagName)) {
+        findings.push({
+          refs: [branch.name],
+          message: `Release branch ${branch.name} is not released yet; create the release ${branch.tagName} once it's ready`,
+          links: [branchLink, { href: newReleaseURL(branch.tagName, branch.name), text: "Create the release" }],
+          command: `gh release create ${branch.tagName} --target ${branch.name}`,
+        });
+      } else if (!branch.release) {
+        findings.push({
+          refs: [branch.name],
+          message: `Release branch ${branch.name} has no GitHub release ${branch.tagName}`,
+          links: [branchLink, { href: newReleaseURL(branch.tagName, branch.name), text: "Create the release" }],
+          command: `git push origin --delete ${branch.name}`,
+        });
+      }
+      if (branch.aheadBy > 0) {
+        const nextVersion = VersionUtils.increment(branch.version, "patch");
+        const nextBranch = ProfileUtils.releaseBranch(this.profile, nextVersion);
+        findings.push({
+          refs: [branch.name, branch.tagName],
+          message: `${branch.name} has ${branch.aheadBy} commit(s) after tag ${branch.tagName}; ship them as ${nextVersion}`,
+          links: [
+            branchLink,
+            { href: `${repoURL}/compare/${branch.tagName}...${branch.name}`, text: "Unreleased commits" },
+          ],
+          command: `git checkout -b ${nextBranch} origin/${branch.name} && git push origin ${nextBranch}`,
+        });
+      }
+    });
+
+    // Unreleased tags that duplicate another tag's version are reported with their group below
+    const duplicateTags = new Set(audit.duplicates.flatMap((group) => group.tags.map((tag) => tag.name)));
+    audit.tags
+      .filter((tag) => !tag.release && !duplicateTags.has(tag.name))
+      .forEach((tag) => {
+        if (isUpcoming(tag.name)) {
+          findings.push({
+            refs: [tag.name],
+            message: `Tag ${tag.name} is not released yet; create its release once it's ready`,
+            links: [
+              { href: `${repoURL}/tree/${tag.name}`, text: `Tag ${tag.name}` },
+              { href: newReleaseURL(tag.name), text: "Create the release" },
+            ],
+            command: `gh release create ${tag.name}`,
+          });
+          return;
+        }
+        findings.push({
+          refs: [tag.name],
+          message: `Tag ${tag.name} has no GitHub release`,
+          links: [
+            { href: `${repoURL}/tree/${tag.name}`, text: `Tag ${tag.name}` },
+            { href: newReleaseURL(tag.name), text: "Create the release" },
+          ],
+          command: `git push origin --delete refs/tags/${tag.name}`,
+        });
+      });
+
+    audit.duplicates.forEach((group) => {
+      const unreleased = group.tags.filter((tag) => !tag.release).map((tag) => tag.name);
+      findings.push({
+        refs: group.tags.map((tag) => tag.name),
+        message: `Version ${group.version} is tagged as ${group.tags.map((tag) => tag.name).join(", ")}`,
+        links: group.tags.map((tag) => ({ href: `${repoURL}/tree/${tag.name}`, text: `Tag ${tag.name}` })),
+        command: `git push origin --delete ${unreleased.map((name) => `refs/tags/${name}`).join(" ")}`,
+      });
+    });
+
+    return findings;
+  }
+
+  renderRefAudit(audit, findings) {
+    const { owner, repo } = this.currentRepo;
+    const list = document.getElementById("ref-audit-findings");
+    const tbody = document.getElementById("ref-audit-body");
+    list.innerHTML = "";
+    tbody.innerHTML = "";
+
+    findings.forEach((finding, index) => {
+      const li = DomUtils.element("li", "", "audit-finding");
+      li.appendChild(DomUtils.element("div", `⚠️ ${finding.message}`));
+
+      const links = DomUtils.element("div", "", "audit-finding-links");
+      finding.links.forEach((link) => links.appendChild(DomUtils.link(link.href, link.text, "external-link")));
+      li.appendChild(links);
+
+      const commandGroup = DomUtils.element("div", "", "command-group");
+      const command = DomUtils.element("code", finding.command, "command");
+      command.id = `ref-audit-command-${index}`;
+      const copyButton = DomUtils.element("span", "Copy", "copy-btn");
+      copyButton.addEventListener("click", () => window.copyToClipboard(command.id));
+      commandGroup.append(command, copyButton);
+      li.appendChild(commandGroup);
+      list.appendChild(li);
+    });
+
+    const releaseState = (release) => {
+      if (!release) {
+        return "-";
+      }
+      if (release.draft) {
+        return "📝 Draft";
+      }
+      return release.prerelease ? "Pre-release" : "Stable";
+    };
+    const rows = [
+      ...audit.branches.map((branch) => ({ ...branch, type: "Branch" })),
+      ...audit.tags.map((tag) => ({ ...tag, type: "Tag" })),
+    ].sort((a, b) => VersionUtils.compare(b.version, a.version));
+
+    rows.forEach((ref) => {
+      const row = tbody.insertRow();
+      row
+        .insertCell()
+        .appendChild(DomUtils.link(`${this.repoWebURL(owner, repo)}/tree/${ref.name}`, ref.name, "branch-link"));
+      row.insertCell().textContent = ref.type;
+      row.insertCell().textContent = ref.version;
+      row.insertCell().textContent = releaseState(ref.release);
+      const count = findings.filter((finding) => finding.refs.includes(ref.name)).length;
+      row.insertCell().textContent = count ? `⚠️ ${count}` : "✅";
+    });
+    this.showSection("ref-audit-table-wrapper");
+  }
+
+  // Compares the latest stable tag with the pre-release in "From Pre-release Version"
+  async renderPromotionSummary() {
+    const summaryId = ++this.promotionSummaryId;
+    const baseTag = this.getLatestStableTag();
+    const headTag = document.getElementById("from-prerelease-version").value.trim();
+    if (!this.currentRepo || !baseTag || !headTag) {
+      this.hideSection("promotion-summary");
+      return;
+    }
+
+    const { owner, repo } = this.currentRepo;
+    const body = document.getElementById("promotion-summary-body");
+    const compareUrl = `${this.repoWebURL(owner, repo)}/compare/${baseTag}...${headTag}`;
+    document
+      .getElementById("promotion-range")
+      .replaceChildren(DomUtils.link(compareUrl, `${baseTag}...${headTag}`, "external-link"));
+    body.replaceChildren(DomUtils.element("p", "Comparing...", "settings-hint"));
+    this.showSection("promotion-summary");
+
+    try {
+      const comparison = await this.api.compareCommitsAllPages(owner, repo, baseTag, headTag);
+      const pullsBySha = comparison ? await this.getMergedPullsBySha(owner, repo, comparison.commits) : null;
+      // A newer comparison owns the panel now
+      if (summaryId !== this.promotionSummaryId) {
+        return;
+      }
+      if (!comparison) {
+        body.replaceChildren(DomUtils.element("p", `${baseTag} or ${headTag} not found`, "settings-hint"));
+        return;
+      }
+
+      const summary = PromotionSummary.build(comparison, pullsBySha);
+      body.replaceChildren(...this.createPromotionSummary(summary, this.pullLookupHint(comparison.commits.length)));
+    } catch (error) {
+      if (summaryId === this.promotionSummaryId) {
+        body.replaceChildren(DomUtils.element("p", `⚠️ Failed to compare: ${error.message}`, "dashboard-row-error"));
+      }
+    }
+  }
+
+  // lookupHint notes PR details that were not looked up, see pullLookupHint()
+  createPromotionSummary(summary, lookupHint = "") {
+    const { owner, repo } = this.currentRepo;
+    const repoURL = this.repoWebURL(owner, repo);
+    const nodes = [];
+
+    const stats = DomUtils.element("div", "", "promotion-stats");
+    [
+      [summary.totalCommits, "commits"],
+      [summary.contributors.length, "contributors"],
+      [summary.pulls.length, "pull requests"],
+      [summary.fileCount, "files changed"],
+    ].forEach(([value, label]) => {
+      const stat = DomUtils.element("div", "", "promotion-stat");
+      stat.append(DomUtils.element("strong", String(value)), DomUtils.element("span", label));
+      stats.appendChild(stat);
+    });
+    nodes.push(stats);
+    if (summary.commitCount < summary.totalCommits) {
+      nodes.push(
+        DomUtils.element(
+          "p",
+          `Only the first ${summary.commitCount} commits were loaded; PRs and contributors may be incomplete`,
+          "settings-hint"
+        )
+      );
+    }
+    if (lookupHint && summary.pulls.length) {
+      nodes.push(DomUtils.element("p", lookupHint, "settings-hint"));
+    }
+
+    if (summary.breaking.length) {
+      const breaking = DomUtils.element("div", "", "promotion-breaking");
+      breaking.appendChild(DomUtils.element("h5", `⚠️ ${summary.breaking.length} breaking change(s)`));
+      const list = DomUtils.element("ul", "", "promotion-list");
+      summary.breaking.forEach((commit) => {
+        const li = document.createElement("li");
+        li.append(DomUtils.link(`${repoURL}/commit/${commit.sha}`, commit.sha.substring(0, 7), "commit-link"));
+        li.append(` ${commit.title}`);
+        list.appendChild(li);
+      });
+      breaking.appendChild(list);
+      nodes.push(breaking);
+    }
+
+    if (summary.pulls.length) {
+      nodes.push(DomUtils.element("h5", `Pull requests (${summary.pulls.length})`));
+      const list = DomUtils.element("ul", "", "promotion-list");
+      summary.pulls.forEach((pull) => {
+        const li = document.createElement("li");
+        li.append(DomUtils.link(`${repoURL}/pull/${pull.number}`, `#${pull.number}`, "commit-link"), ` ${pull.title}`);
+        if (pull.breaking) {
+          li.append(" ", DomUtils.element("span", "breaking", "badge badge-breaking"));
+        }
+        pull.labels.forEach((label) => li.append(" ", DomUtils.element("span", label, "badge badge-label")));
+        list.appendChild(li);
+      });
+      nodes.push(list);
+    }
+
+    if (summary.contributors.length) {
+      nodes.push(DomUtils.element("h5", `Contributors (${summary.contributors.length})`));
+      const contributors = summary.contributors.map((contributor) => `${contributor.name} (${contributor.commits})`);
+      nodes.push(DomUtils.element("p", contributors.join(", "), "promotion-contributors"));
+    }
+
+    if (summary.directories.length) {
+      // The compare API lists at most 300 files
+      const capped = summary.fileCount >= 300 ? ", first 300 shown" : "";
+      nodes.push(DomUtils.element("h5", `Files changed by directory (${summary.fileCount}${capped})`));
+      const list = DomUtils.element("ul", "", "promotion-list");
+      summary.directories.forEach((directory) => {
+        const li = document.createElement("li");
+        li.append(DomUtils.element("code", directory.name));
+        li.append(` ${directory.files} file(s) · +${directory.additions} −${directory.deletions}`);
+        list.appendChild(li);
+      });
+      nodes.push(list);
+    }
+
+    if (summary.totalCommits === 0) {
+      nodes.push(DomUtils.element("p", "Nothing to promote: the pre-release has no new commits", "settings-hint"));
+    }
+    return nodes;
+  }
+
+  // Published releases of the selected profile, highest version first
+  getProfileReleases() {
+    return ProfileUtils.sortedReleases(this.profile, this.releases);
+  }
+
+  getTagVersion(tagName) {
+    return VersionUtils.parse(ProfileUtils.stripSuffix(this.profile, tagName));
+  }
+
+  renderReleaseHistory() {
+    const filter = document.getElementById("history-filter").value;
+    const tbody = document.getElementById("release-history-body");
+    const { owner, repo } = this.currentRepo;
+
+    let releases = this.releases.filter((release) => release.published_at);
+    if (filter === "profile") {
+      releases = releases.filter((release) => ProfileUtils.matchesTag(this.profile, release.tag_name));
+    } else if (filter !== "all") {
+      releases = releases.filter((release) => ProfileUtils.matchesTag(ProfileUtils.get(filter), release.tag_name));
+    }
+    releases.sort((a, b) => new Date(b.published_at) - new Date(a.published_at));
+
+    tbody.innerHTML = "";
+    document.getElementById("release-history-count").textContent = `${releases.length} releases`;
+
+    if (releases.length === 0) {
+      const row = tbody.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 5;
+      cell.className = "history-empty";
+      cell.textContent = "No releases match this filter";
+      return;
+    }
+
+    releases.forEach((release, index) => {
+      const row = tbody.insertRow();
+      const publishedAt = new Date(release.published_at);
+      const previous = releases[index + 1];
+
+      const tagLink = document.createElement("a");
+      tagLink.href = `${this.repoWebURL(owner, repo)}/releases/tag/${release.tag_name}`;
+      tagLink.target = "_blank";
+      tagLink.className = "release-link";
+      tagLink.textContent = release.tag_name;
+      row.insertCell().appendChild(tagLink);
+
+      const badge = document.createElement("span");
+      badge.className = release.prerelease ? "badge badge-prerelease" : "badge badge-stable";
+      badge.textContent = release.prerelease ? "Pre-release" : "Stable";
+      row.insertCell().appendChild(badge);
+
+      row.insertCell().textContent = publishedAt.toLocaleDateString("en-US", {
+        month: "numeric",
+        day: "numeric",
+        year: "numeric",
+      });
+      row.insertCell().textContent = release.author ? release.author.login : "-";
+      row.insertCell().textContent = previous
+        ? `${Math.round((publishedAt - new Date(previous.published_at)) / (1000 * 60 * 60 * 24))}d`
+        : "-";
+    });
+  }
+
+  renderVersionSuggestions(latestRelease) {
+    const container = document.getElementById("version-suggestions");
+    container.innerHTML = "";
+    if (!latestRelease) {
+      return;
+    }
+
+    const currentVersion = ProfileUtils.stripSuffix(this.profile, latestRelease.tag_name);
+    ["patch", "minor", "major"].forEach((part) => {
+      const suggestion = VersionUtils.increment(currentVersion, part);
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "suggestion-chip";
+      button.textContent = `Next ${part}: ${suggestion}`;
+      button.addEventListener("click", () => {
+        document.getElementById("target-release-version").value = suggestion;
+        this.validateVersion();
+      });
+      container.appendChild(button);
+    });
+  }
+
+  // Flags targets that are not valid semver, already released or tagged, or not above the latest (pre-)release
+  async getVersionWarnings(version, latestTag = this.getLatestStableTag(), latestLabel = "latest release") {
+    if (!VersionUtils.isValidSemver(version)) {
+      return [`${version} is not a valid semantic version (e.g. v1.2.5)`];
+    }
+
+    const warnings = [];
+    const targetTag = ProfileUtils.tagName(this.profile, version);
+    if (this.releases.some((release) => release.tag_name === targetTag)) {
+      warnings.push(`${targetTag} already exists`);
+    } else if (await this.tagExists(targetTag)) {
+      // The usual state between pushing the tag and publishing its release
+      warnings.push(`${targetTag} already exists as a tag, without a GitHub release`);
+    }
+
+    if (latestTag) {
+      const latestVersion = this.getTagVersion(latestTag);
+      const comparison = VersionUtils.compare(version, latestVersion);
+      if (comparison < 0) {
+        warnings.push(`${version} is lower than the ${latestLabel} ${latestTag}`);
+      } else if (comparison === 0 && !warnings.length) {
+        warnings.push(`${version} is the same version as the ${latestLabel} ${latestTag}`);
+      }
+    }
+
+    return warnings;
+  }
+
+  // The tag lookup is a request, so a slower, older lookup for the same field never overwrites a newer one
+  async renderVersionWarnings(version, warningElementId = "target-version-warning", ...baseline) {
+    const warningElement = document.getElementById(warningElementId);
+    const requestId = (this.versionWarningIds[warningElementId] || 0) + 1;
+    this.versionWarningIds[warningElementId] = requestId;
+    const warnings = version ? await this.getVersionWarnings(version, ...baseline) : [];
+    if (requestId !== this.versionWarningIds[warningElementId]) {
+      return;
+    }
+
+    warningElement.textContent = warnings.map((warning) => `⚠️ ${warning}`).join("\n");
+    warningElement.classList.toggle("show", warnings.length > 0);
+  }
+
+  async validateVersion() {
+    const versionInput = document.getElementById("target-release-version").value.trim();
+    const warnings = this.renderVersionWarnings(versionInput);
+    this.syncURL();
+
+    // Only update steps if version is valid, otherwise keep existing steps
+    if (versionInput && VersionUtils.isValidSemver(versionInput)) {
+      // Generate release process steps
+      this.generateReleaseSteps(versionInput);
+      this.showSection("release-process");
+
+      // Start checking steps
+      this.checkReleaseSteps(versionInput);
+    }
+    // Don't hide the section if invalid - just don't update it
+    await warnings;
+  }
+
+
+  // Lookup failures don't warn: the warnings are advisory and the release checks report API problems
+  async tagExists(tagName) {
+    const { owner, repo } = this.currentRepo;
+    try {
+      return (await this.api.getTagRef(owner, repo, tagName)) !== null;
+    } catch {
+      return false;
+    }
+  }
+
+  getBaseRef(version) {
+    const from = document.getElementById("from-prerelease-version").value.trim();
+    return ReleaseChecks.baseRef(this.profile, this.releases, version, from);
+  }
+
+  getLatestStableTag() {
+    const latestRelease = this.getProfileReleases().find((release) => !release.prerelease);
+    return latestRelease ? latestRelease.tag_name : null;
+  }
+
+  generateReleaseSteps(version) {
+    const cleanVersion = version.replace(/^v/, "");
+    const profile = this.profile;
+    const releaseBranch = ProfileUtils.releaseBranch(profile, version);
+    const baseBranch = this.getBaseRef(version);
+    this.targetVersion = version;
+    if (this.releaseNotesKey !== this.getReleaseNotesKey()) {
+      this.resetReleaseNotes();
+    }
+
+    // Cherry-pick candidates belong to the previous target
+    this.hideSection("cherry-pick-assistant");
+    document.getElementById("cherry-pick-status").textContent = "";
+
+    // Update all commands and references
+    document.getElementById("create-release-branch-command").textContent =
+      `git checkout -b ${releaseBranch} ${baseBranch}`;
+    document.getElementById("target-version").textContent = cleanVersion;
+    document.getElementById("manifest-path").textContent = [
+      ...new Set(ProfileUtils.versionFiles(profile).map((file) => file.path)),
+    ].join(", ");
+    this.renderVersionFileChecks("version-file-checks");
+    this.renderAssetChecks("release-asset-checks");
+    document.getElementById("push-release-branch-command").textContent = `git push origin ${releaseBranch}`;
+    this.renderChecklist();
+
+    // Generate GitHub release URL with query parameters
+    const { owner, repo } = this.currentRepo;
+    const releaseParams = new URLSearchParams({
+      tag: ProfileUtils.tagName(profile, version),
+      target: releaseBranch,
+    });
+
+    const releaseUrl = `${this.repoWebURL(owner, repo)}/releases/new?${releaseParams.toString()}`;
+    document.getElementById("create-release-link").href = releaseUrl;
+
+    // Update the instruction text with the actual latest release
+    const latestReleaseTag = this.getLatestStableTag() || "latest release";
+
+    const instructionElement = document.querySelector(".github-release-instructions .step-instruction");
+    instructionElement.replaceChildren(
+      "This will open GitHub, then select ",
+      DomUtils.element("strong", `"Previous tag: ${latestReleaseTag}"`),
+      ", click ",
+      DomUtils.element("strong", '"Generate release notes"'),
+      " and ",
+      DomUtils.element("strong", '"Publish release"'),
+      "!"
+    );
+  }
+
+  initChecklist() {
+    const signoffInput = document.getElementById("signoff-name");
+    signoffInput.value = Preferences.get("signoff-name", "");
+    signoffInput.addEventListener("change", () => Preferences.set("signoff-name", signoffInput.value.trim()));
+
+    const stepInput = document.getElementById("custom-step-input");
+    document.getElementById("add-custom-step-btn").addEventListener("click", () => this.addCustomStep());
+    stepInput.addEventListener("keypress", (e) => {
+      if (e.key === "Enter") this.addCustomStep();
+    });
+
+    const fileInput = document.getElementById("import-checklist-file");
+    document.getElementById("export-checklist-btn").addEventListener("click", () => this.exportChecklist());
+    document.getElementById("import-checklist-btn").addEventListener("click", () => fileInput.click());
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length) {
+        this.importChecklist(fileInput.files[0]);
+      }
+      fileInput.value = "";
+    });
+  }
+
+  // Checklist state is kept per repo and release tag, so each release has its own sign-offs
+  getChecklistKey(repoName = `${this.currentRepo.owner}/${this.currentRepo.repo}`, tagName = null) {
+    return `checklist:${repoName}@${tagName || ProfileUtils.tagName(this.profile, this.targetVersion)}`;
+  }
+
+  getChecklistState() {
+    const state = Preferences.get(this.getChecklistKey(), null);
+    return state && typeof state.steps === "object" && state.steps !== null ? state : { steps: {} };
+  }
+
+  getCustomSteps(profileId = this.profileId) {
+    const steps = Preferences.get(`custom-steps:${profileId}`, []);
+    return Array.isArray(steps) ? steps.filter((step) => step && step.id && step.title) : [];
+  }
+
+  addCustomStep() {
+    const input = document.getElementById("custom-step-input");
+    const title = input.value.trim();
+    if (!title) {
+      return;
+    }
+
+    const customSteps = this.getCustomSteps();
+    customSteps.push({ id: `custom-${Date.now().toString(36)}`, title });
+    Preferences.set(`custom-steps:${this.profileId}`, customSteps);
+    input.value = "";
+    this.renderChecklist();
+  }
+
+  removeCustomStep(stepId) {
+    Preferences.set(
+      `custom-steps:${this.profileId}`,
+      this.getCustomSteps().filter((step) => step.id !== stepId)
+    );
+    this.renderChecklist();
+  }
+
+  // Orders the built-in step groups for the profile, adds custom ones and renders manual sign-offs
+  renderChecklist() {
+    if (!this.currentRepo || !this.targetVersion) {
+      return;
+    }
+
+    const container = document.getElementById("release-steps");
+    container.querySelectorAll(".step-group.custom-step").forEach((group) => group.remove());
+    container.querySelectorAll(".manual-check").forEach((item) => item.remove());
+
+    const builtInGroups = new Map(
+      [...container.querySelectorAll(".step-group")].map((group) => [group.dataset.step, group])
+    );
+    const steps = ProfileUtils.releaseSteps(this.profile, this.getCustomSteps()).filter(
+      (step) => !step.builtIn || builtInGroups.has(step.id)
+    );
+    const state = this.getChecklistState();
+
+    builtInGroups.forEach((group, id) => group.classList.toggle("hidden", !steps.some((step) => step.id === id)));
+    steps.forEach((step, index) => {
+      const group = step.builtIn ? builtInGroups.get(step.id) : this.createCustomStepGroup(step);
+      group.querySelector("h4").textContent = `Step ${index + 1}: ${step.title}`;
+      if (step.manual) {
+        group.appendChild(this.createManualCheck(step, state.steps[step.id] || {}));
+      }
+      container.appendChild(group);
+    });
+  }
+
+  createCustomStepGroup(step) {
+    const group = document.createElement("div");
+    group.className = "step-group custom-step";
+    group.dataset.step = step.id;
+
+    const header = document.createElement("div");
+    header.className = "step-header";
+    header.appendChild(document.createElement("h4"));
+    if (step.removable) {
+      const removeButton = document.createElement("button");
+      removeButton.className = "btn btn-small";
+      removeButton.textContent = "Remove";
+      removeButton.addEventListener("click", () => this.removeCustomStep(step.id));
+      header.appendChild(removeButton);
+    }
+    group.appendChild(header);
+
+    if (step.description) {
+      const description = document.createElement("p");
+      description.className = "step-instruction";
+      description.textContent = step.description;
+      group.appendChild(description);
+    }
+    return group;
+  }
+
+  createManualCheck(step, entry) {
+    const item = document.createElement("div");
+    item.className = entry.done ? "check-item manual-check success" : "check-item manual-check";
+    item.id = `manual-check-${step.id}`;
+
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = !!entry.done;
+    label.append(checkbox, " Done");
+
+    const note = document.createElement("input");
+    note.type = "text";
+    note.className = "manual-check-note";
+    note.placeholder = "Note (optional)";
+    note.value = typeof entry.note === "string" ? entry.note : "";
+
+    const signoff = document.createElement("small");
+    signoff.className = "manual-check-signoff";
+    if (entry.done && entry.at) {
+      const signedAt = new Date(entry.at).toLocaleString("en-US", { dateStyle: "medium", timeStyle: "short" });
+      signoff.textContent = entry.by ? `Signed off by ${entry.by} · ${signedAt}` : `Signed off ${signedAt}`;
+    }
+
+    checkbox.addEventListener("change", () => {
+      const by = document.getElementById("signoff-name").value.trim();
+      this.updateChecklistEntry(step.id, {
+        done: checkbox.checked,
+        by: checkbox.checked ? by : null,
+        at: checkbox.checked ? new Date().toISOString() : null,
+      });
+      item.replaceWith(this.createManualCheck(step, this.getChecklistState().steps[step.id]));
+    });
+    note.addEventListener("change", () => this.updateChecklistEntry(step.id, { note: note.value.trim() }));
+
+    item.append(label, note, signoff);
+    return item;
+  }
+
+  updateChecklistEntry(stepId, changes) {
+    const state = this.getChecklistState();
+    state.steps[stepId] = { ...state.steps[stepId], ...changes };
+    state.updatedAt = new Date().toISOString();
+    Preferences.set(this.getChecklistKey(), state);
+  }
+
+  // Hand-off file: everything another release captain needs to pick up the checklist where it was left
+  exportChecklist() {
+    if (!this.currentRepo || !this.targetVersion) {
+      return;
+    }
+
+    const { owner, repo } = this.currentRepo;
+    const tagName = ProfileUtils.tagName(this.profile, this.targetVersion);
+    const data = {
+      format: CHECKLIST_EXPORT_FORMAT,
+      repo: `${owner}/${repo}`,
+      server: this.server,
+      profile: this.profileId,
+      target: this.targetVersion,
+      from: document.getElementById("from-prerelease-version").value.trim() || null,
+      customSteps: this.getCustomSteps(),
+      steps: this.getChecklistState().steps,
+      exportedAt: new Date().toISOString(),
+    };
+
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+    link.download = `${owner}-${repo}-${tagName}-checklist.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  }
+
+  async importChecklist(file) {
+    const status = document.getElementById("checklist-status");
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch {
+      status.textContent = `Failed to import ${file.name}: not a JSON file`;
+      return;
+    }
+
+    if (
+      !data ||
+      data.format !== CHECKLIST_EXPORT_FORMAT ||
+      !/^[^/\s]+\/[^/\s]+$/.test(data.repo) ||
+      !VersionUtils.isValidSemver(data.target || "")
+    ) {
+      status.textContent = `Failed to import ${file.name}: not a release checklist export`;
+      return;
+    }
+
+    const server = data.server ? ServerUtils.resolve(data.server.webURL, data.server.apiURL) : null;
+    if (server && !this.confirmServer(server)) {
+      status.textContent = `Did not import ${file.name}: its server ${server.webURL} was not confirmed`;
+      return;
+    }
+
+    const profileId = RELEASE_PROFILES[data.profile] ? data.profile : DEFAULT_PROFILE_ID;
+    const tagName = ProfileUtils.tagName(ProfileUtils.get(profileId), data.target);
+    const steps = data.steps && typeof data.steps === "object" ? data.steps : {};
+    Preferences.set(this.getChecklistKey(data.repo, tagName), { steps, updatedAt: data.exportedAt || null });
+
+    // Merge rather than replace, so the importer keeps their own custom steps
+    if (Array.isArray(data.customSteps)) {
+      const customSteps = this.getCustomSteps(profileId);
+      data.customSteps
+        .filter((step) => step && step.id && step.title && !customSteps.some((existing) => existing.id === step.id))
+        .forEach((step) => customSteps.push({ id: String(step.id), title: String(step.title) }));
+      Preferences.set(`custom-steps:${profileId}`, customSteps);
+    }
+
+    // Switch to the handed-over release
+    document.getElementById("repo-input").value = data.repo;
+    document.getElementById("profile-select").value = profileId;
+    this.profileId = profileId;
+    this.requestedVersions = { target: data.target, from: data.from };
+    await this.analyzeRepo({ server });
+
+    const signedOff = Object.values(steps).filter((entry) => entry && entry.done).length;
+    status.textContent = `Imported checklist for ${data.repo} ${tagName} (${signedOff} step(s) signed off)`;
+  }
+
+  // Runs a confirmed write through the API, then re-runs the checks it affects (the promotion flow's by default)
+  async runReleaseAction(
+    buttonId,
+    confirmMessage,
+    action,
+    { errorId = "release-action-error", recheck = () => this.checkReleaseSteps(this.targetVersion) } = {}
+  ) {
+    if (!window.confirm(confirmMessage)) {
+      return;
+    }
+
+    const button = document.getElementById(buttonId);
+    const originalText = button.textContent;
+    button.disabled = true;
+    button.textContent = "Working...";
+    this.hideError(errorId);
+
+    let actionError = null;
+    try {
+      await action();
+    } catch (error) {
+      actionError = error;
+      this.showError(errorId, `${originalText} failed: ${error.message}`);
+    } finally {
+      button.textContent = originalText;
+      button.disabled = false;
+    }
+
+    // The checks may be stale now, but the outcome of the action itself still has to be reported
+    try {
+      await recheck();
+    } catch (error) {
+      const outcome = actionError ? `${originalText} failed: ${actionError.message}.` : `${originalText} succeeded.`;
+      this.showError(errorId, `${outcome} Refreshing the checks afterwards failed: ${error.message}`);
+    }
+  }
+
+  async createReleaseBranch() {
+    const { owner, repo } = this.currentRepo;
+    const version = this.targetVersion;
+    const releaseBranch = ProfileUtils.releaseBranch(this.profile, version);
+    const baseRef = this.getBaseRef(version);
+
+    await this.runReleaseAction(
+      "create-branch-action",
+      `Create branch ${releaseBranch} from ${baseRef} in ${owner}/${repo}?`,
+      async () => {
+        const sha = await this.api.getCommitSha(owner, repo, baseRef);
+        await this.api.createBranch(owner, repo, releaseBranch, sha);
+      }
+    );
+  }
+
+  async commitVersionBump() {
+    const { owner, repo } = this.currentRepo;
+    const version = this.targetVersion;
+    const cleanVersion = version.replace(/^v/, "");
+    const releaseBranch = ProfileUtils.releaseBranch(this.profile, version);
+    const versionFiles = ProfileUtils.versionFiles(this.profile);
+    const paths = [...new Set(versionFiles.map((file) => file.path))];
+
+    await this.runReleaseAction(
+      "bump-version-action",
+      `Commit version ${cleanVersion} to ${paths.join(", ")} on ${releaseBranch}?`,
+      async () => {
+        // One commit per file, as the contents API works file by file; files already at the version are skipped
+        for (const path of paths) {
+          const { text, sha } = await this.api.getFileContent(owner, repo, path, releaseBranch);
+          const updated = versionFiles
+            .filter((file) => file.path === path)
+            .reduce((current, file) => VersionFileUtils.replace(current, file, cleanVersion), text);
+          if (updated !== text) {
+            await this.api.updateFileContent(
+              owner,
+              repo,
+              path,
+              releaseBranch,
+              updated,
+              sha,
+              `Bump version to ${cleanVersion}`
+            );
+          }
+        }
+      }
+    );
+  }
+
+  async createRelease(draft) {
+    const { owner, repo } = this.currentRepo;
+    const version = this.targetVersion;
+    const tagName = ProfileUtils.tagName(this.profile, version);
+    const releaseBranch = ProfileUtils.releaseBranch(this.profile, version);
+    const previousTag = this.getLatestStableTag();
+    const buttonId = draft ? "create-draft-release-action" : "publish-release-action";
+    const previousTagText = previousTag ? ` with notes since ${previousTag}` : "";
+
+    await this.runReleaseAction(
+      buttonId,
+      `${draft ? "Create a draft" : "Publish a"} release ${tagName} from ${releaseBranch}${previousTagText}?`,
+      async () => {
+        // Use the edited notes preview when there is one, otherwise let GitHub generate them
+        const editedNotes = document.getElementById("release-notes-input").value.trim();
+        if (editedNotes && this.releaseNotesKey !== this.getReleaseNotesKey(tagName)) {
+          throw new Error(`the release notes in the editor were not written for ${tagName}; generate them again`);
+        }
+        const notes = editedNotes
+          ? { name: tagName, body: editedNotes }
+          : await this.api.generateReleaseNotes(owner, repo, tagName, releaseBranch, previousTag);
+        await this.api.createRelease(owner, repo, {
+          tag_name: tagName,
+          target_commitish: releaseBranch,
+          name: notes.name,
+          body: notes.body,
+          draft,
+          prerelease: false,
+        });
+        await this.refreshReleases();
+      }
+    );
+  }
+
+  // Fills the broken-release picker with the profile's stable releases, keeping the selection while it is listed
+  prepareRollback() {
+    const badSelect = document.getElementById("rollback-bad-release");
+    const current = this.rollbackPlan ? this.rollbackPlan.badTag : badSelect.value;
+    const candidates = RollbackPlan.candidates(this.profile, this.releases, current);
+    this.renderReleaseOptions(badSelect, candidates, current);
+    this.selectRollbackRelease();
+  }
+
+  // A changed broken release defaults the good one to the newest stable release below it
+  selectRollbackRelease() {
+    const badTag = document.getElementById("rollback-bad-release").value;
+    const goodSelect = document.getElementById("rollback-good-release");
+    const candidates = badTag ? RollbackPlan.goodCandidates(this.profile, this.releases, badTag) : [];
+    this.renderReleaseOptions(goodSelect, candidates, goodSelect.value);
+    this.generateRollbackSteps();
+  }
+
+  renderReleaseOptions(select, releases, selected) {
+    select.replaceChildren(
+      ...releases.map((release) => {
+        const state = release.draft ? " (draft)" : release.prerelease ? " (pre-release)" : "";
+        const option = DomUtils.element("option", `${release.tag_name}${state}`);
+        option.value = release.tag_name;
+        return option;
+      })
+    );
+    if (releases.some((release) => release.tag_name === selected)) {
+      select.value = selected;
+    }
+  }
+
+  generateRollbackSteps() {
+    const badTag = document.getElementById("rollback-bad-release").value;
+    const goodTag = document.getElementById("rollback-good-release").value;
+    const warning = document.getElementById("rollback-warning");
+    this.hideError("rollback-action-error");
+
+    if (!badTag || !goodTag) {
+      this.rollbackPlan = null;
+      warning.textContent = badTag
+        ? `⚠️ No stable ${this.profile.name} release before ${badTag} to roll back to`
+        : `⚠️ No stable ${this.profile.name} release to roll back`;
+      warning.classList.add("show");
+      this.hideSection("rollback-process");
+      return;
+    }
+
+    const plan = RollbackPlan.build(this.profile, badTag, goodTag);
+    this.rollbackPlan = plan;
+    warning.textContent = "";
+    warning.classList.remove("show");
+
+    Object.entries(plan.commands).forEach(([name, command]) => {
+      document.getElementById(`rollback-${name}-command`).textContent = command;
+    });
+    document.getElementById("rollback-patch-version").textContent = plan.patchVersion.replace(/^v/, "");
+    this.renderVersionFileChecks("rollback-version-file-checks");
+    this.showSection("rollback-process");
+    this.checkRollbackSteps();
+  }
+
+  checkRollbackSteps() {
+    return this.queueChecks("rollback", () => this.runRollbackChecks());
+  }
+
+  async runRollbackChecks() {
+    if (!this.currentRepo || !this.rollbackPlan) {
+      return;
+    }
+
+    const { owner, repo } = this.currentRepo;
+    const plan = this.rollbackPlan;
+    document.querySelectorAll("#rollback-process .check-item").forEach((check) => {
+      check.className = "check-item";
+    });
+
+    const retry = () => this.checkRollbackSteps();
+    const report = await this.createReleaseChecks().runRollback(plan, { releases: this.releases });
+    this.renderCheck(document.getElementById("rollback-demote-check"), report.checks.demote[0], retry, "release-link");
+    this.renderCheck(document.getElementById("rollback-latest-check"), report.checks.latest[0], retry, "release-link");
+    this.renderBranchChecks(report, "rollback-branch-exists-check", "rollback-version-file-checks", retry);
+    this.renderCheck(
+      document.getElementById("rollback-release-check"),
+      report.checks["github-release"][0],
+      retry,
+      "release-exists-check-link"
+    );
+
+    const stillStable = report.checks.demote[0].state === "danger";
+    this.setActionEnabled("rollback-prerelease-action", stillStable);
+    this.setActionEnabled("rollback-draft-action", stillStable);
+    this.setActionEnabled("rollback-latest-action", report.checks.latest[0].state === "danger");
+    this.setActionEnabled("rollback-branch-action", report.branch === null);
+
+    this.highlightChangedChecks("rollback-process", `${owner}/${repo}@${plan.badTag}..${plan.goodTag}`);
+  }
+
+  // Rollback actions change the releases themselves, so the release data is reloaded before re-checking
+  async runRollbackAction(buttonId, confirmMessage, action) {
+    await this.runReleaseAction(buttonId, confirmMessage, action, {
+      errorId: "rollback-action-error",
+      recheck: async () => {
+        if (await this.refreshReleases()) {
+          this.renderLatestReleases();
+          this.prepareRollback();
+          await this.checkQueue;
+        }
+      },
+    });
+  }
+
+  // Releases are edited by id, which only the loaded releases know; a release past the loaded pages or deleted
+  // meanwhile has none
+  getLoadedRelease(tagName) {
+    const release = this.releases.find((candidate) => candidate.tag_name === tagName);
+    if (!release) {
+      throw new Error(`release ${tagName} is not in the loaded releases; reload the repository`);
+    }
+    return release;
+  }
+
+  async demoteRelease(changes) {
+    const { owner, repo } = this.currentRepo;
+    const { badTag } = this.rollbackPlan;
+
+    await this.runRollbackAction(
+      changes.draft ? "rollback-draft-action" : "rollback-prerelease-action",
+      `${changes.draft ? "Revert" : "Mark"} release ${badTag} ${changes.draft ? "to a draft" : "as a pre-release"} in ${owner}/${repo}?`,
+      () => this.api.updateRelease(owner, repo, this.getLoadedRelease(badTag).id, changes)
+    );
+  }
+
+  async markLatestRelease() {
+    const { owner, repo } = this.currentRepo;
+    const { goodTag } = this.rollbackPlan;
+
+    await this.runRollbackAction(
+      "rollback-latest-action",
+      `Mark release ${goodTag} as latest in ${owner}/${repo}?`,
+      () => this.api.updateRelease(owner, repo, this.getLoadedRelease(goodTag).id, { make_latest: "true" })
+    );
+  }
+
+  async createEmergencyBranch() {
+    const { owner, repo } = this.currentRepo;
+    const { goodTag, patchBranch } = this.rollbackPlan;
+
+    await this.runRollbackAction(
+      "rollback-branch-action",
+      `Create branch ${patchBranch} from ${goodTag} in ${owner}/${repo}?`,
+      async () => {
+        const sha = await this.api.getCommitSha(owner, repo, goodTag);
+        await this.api.createBranch(owner, repo, patchBranch, sha);
+      }
+    );
+  }
+
+  // Hands the emergency patch to the promotion flow, which covers the version bump, CI, notes and publishing
+  continueInPromotionFlow() {
+    const { patchVersion, goodTag } = this.rollbackPlan;
+    document.getElementById("target-release-version").value = patchVersion;
+    document.getElementById("from-prerelease-version").value = goodTag;
+    this.validateVersion();
+    this.renderPromotionSummary();
+    document.getElementById("plan-release").scrollIntoView({ behavior: "smooth" });
+  }
+
+  // Release notes belong to one tag of one repository and profile
+  getReleaseNotesKey(tagName = ProfileUtils.tagName(this.profile, this.targetVersion)) {
+    const { owner, repo } = this.currentRepo;
+    return `${this.server.apiURL}/${owner}/${repo}@${this.profileId}:${tagName}`;
+  }
+
+  resetReleaseNotes() {
+    this.releaseNotesKey = null;
+    document.getElementById("release-notes-input").value = "";
+    document.getElementById("release-notes-preview").innerHTML = "";
+    document.getElementById("release-notes-source").textContent = "";
+    this.hideSection("release-notes-editor");
+  }
+
+  async generateNotesPreview() {
+    const { owner, repo } = this.currentRepo;
+    const version = this.targetVersion;
+    const tagName = ProfileUtils.tagName(this.profile, version);
+    const notesKey = this.getReleaseNotesKey(tagName);
+    const releaseBranch = ProfileUtils.releaseBranch(this.profile, version);
+    const previousTag = this.getLatestStableTag();
+    const button = document.getElementById("generate-notes-btn");
+    const source = document.getElementById("release-notes-source");
+
+    button.disabled = true;
+    source.textContent = "Generating...";
+
+    try {
+      // Fall back to the pre-release ref until the release branch has been pushed
+      const head = (await this.api.checkBranchExists(owner, repo, releaseBranch))
+        ? releaseBranch
+        : this.getBaseRef(version);
+      const compareUrl = previousTag ? `${this.repoWebURL(owner, repo)}/compare/${previousTag}...${tagName}` : null;
+
+      let parsed = null;
+      let generationError = null;
+      let sourceText = "";
+      if (this.api.token) {
+        try {
+          const generated = await this.api.generateReleaseNotes(owner, repo, tagName, head, previousTag);
+          parsed = ReleaseNotes.parseGitHubNotes(generated.body);
+          sourceText = `Generated by GitHub from ${previousTag || "the first commit"} to ${head}`;
+        } catch (error) {
+          parsed = null;
+          generationError = error;
+        }
+      }
+      if (!parsed) {
+        const { entries, truncated } = await this.collectLocalNoteEntries(owner, repo, previousTag, head);
+        parsed = { entries, footer: [] };
+        const fallbackReason = generationError ? ` (GitHub could not generate notes: ${generationError.message})` : "";
+        sourceText = `Built locally from ${truncated || "commits"} between ${previousTag || "the first commit"} and ${head}${fallbackReason}`;
+      }
+
+      // The target changed while generating: these notes are for a release nobody is looking at anymore
+      if (notesKey !== this.getReleaseNotesKey()) {
+        return;
+      }
+      source.textContent = sourceText;
+      document.getElementById("release-notes-input").value = ReleaseNotes.build(parsed.entries, {
+        previousTag,
+        compareUrl,
+        footer: parsed.footer,
+      });
+      this.releaseNotesKey = notesKey;
+      this.showSection("release-notes-editor");
+      this.renderNotesPreview();
+    } catch (error) {
+      source.textContent = `Failed to generate release notes: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  // The merged PR of each commit, keyed by sha. Listing recent PRs instead would miss older ones in long ranges, but
+  // this costs one request per commit, so it only runs with a token and for the first MAX_PULL_LOOKUP_COMMITS
+  // commits; callers fall back to the "(#123)" in the message for the rest. Failed lookups aren't cached.
+  async getMergedPullsBySha(owner, repo, commits) {
+    const pullsBySha = new Map();
+    if (!this.api.token) {
+      return pullsBySha;
+    }
+
+    const lookedUp = commits.slice(0, MAX_PULL_LOOKUP_COMMITS);
+    await AsyncUtils.mapWithLimit(lookedUp, COMMIT_LOOKUP_CONCURRENCY, async (commit) => {
+      const key = `${owner}/${repo}@${commit.sha}`;
+      if (!this.commitPullCache.has(key)) {
+        const pulls = await this.api.getCommitPulls(owner, repo, commit.sha).catch(() => null);
+        if (!pulls) {
+          return;
+        }
+        this.commitPullCache.set(key, pulls.find((pull) => pull.merged_at) || null);
+      }
+      if (this.commitPullCache.get(key)) {
+        pullsBySha.set(commit.sha, this.commitPullCache.get(key));
+      }
+    });
+    return pullsBySha;
+  }
+
+  // Explains which commits getMergedPullsBySha() left to the PR number in their message, or "" when none
+  pullLookupHint(commitCount) {
+    if (!this.api.token) {
+      return "Add a token to look up PR labels";
+    }
+    return commitCount > MAX_PULL_LOOKUP_COMMITS
+      ? `PR labels looked up for the first ${MAX_PULL_LOOKUP_COMMITS} commits only`
+      : "";
+  }
+
+  // { entries, truncated }: one entry per merged PR (or per commit when no PR is found) in the compare range;
+  // truncated notes how many commits were left out when the range is longer than the compare pages loaded
+  async collectLocalNoteEntries(owner, repo, previousTag, head) {
+    if (!previousTag) {
+      return { entries: [], truncated: "" };
+    }
+
+    const comparison = await this.api.compareCommitsAllPages(owner, repo, previousTag, head);
+    if (!comparison) {
+      throw new Error(`Could not compare ${previousTag}...${head}`);
+    }
+
+    const entries = [];
+    const seenPulls = new Set();
+    const pullsBySha = await this.getMergedPullsBySha(owner, repo, comparison.commits);
+    for (const commit of comparison.commits) {
+      const pull = pullsBySha.get(commit.sha);
+      if (pull) {
+        if (seenPulls.has(pull.number)) {
+          continue;
+        }
+        seenPulls.add(pull.number);
+        entries.push({
+          title: pull.title,
+          author: pull.user ? pull.user.login : null,
+          url: pull.html_url,
+          labels: pull.labels.map((label) => label.name),
+        });
+      } else {
+        entries.push({
+          title: commit.commit.message.split("\n")[0],
+          author: commit.author ? commit.author.login : null,
+          url: commit.html_url,
+          labels: [],
+        });
+      }
+    }
+
+    const { total_commits: total, commits } = comparison;
+    return { entries, truncated: total > commits.length ? `only the first ${commits.length} of ${total} commits` : "" };
+  }
+
+  async findCherryPickCandidates() {
+    const { owner, repo } = this.currentRepo;
+    const version = this.targetVersion;
+    const baseRef = this.getBaseRef(version);
+    const releaseBranch = ProfileUtils.releaseBranch(this.profile, version);
+    const defaultBranch = this.repoData.default_branch;
+    const button = document.getElementById("find-cherry-picks-btn");
+    const status = document.getElementById("cherry-pick-status");
+
+    button.disabled = true;
+    status.textContent = `Comparing ${baseRef} with ${defaultBranch}...`;
+
+    try {
+      const [mainComparison, releaseComparison] = await Promise.all([
+        this.api.compareCommitsAllPages(owner, repo, baseRef, defaultBranch),
+        this.api.compareCommitsAllPages(owner, repo, baseRef, releaseBranch),
+      ]);
+      if (!mainComparison) {
+        throw new Error(`Could not compare ${baseRef}...${defaultBranch}`);
+      }
+
+      status.textContent = `Looking up the pull requests of ${mainComparison.commits.length} commit(s)...`;
+      const pullsBySha = await this.getMergedPullsBySha(owner, repo, mainComparison.commits);
+      const releaseCommits = releaseComparison ? releaseComparison.commits : [];
+
+      this.cherryPickReleaseCommits = releaseCommits;
+      this.cherryPickApplied = {
+        shas: new Set(
+          releaseCommits.flatMap((commit) => CherryPickUtils.extractCherryPickSources(commit.commit.message))
+        ),
+        pullNumbers: new Set(
+          releaseCommits.map((commit) => CherryPickUtils.extractPullNumber(commit.commit.message)).filter(Boolean)
+        ),
+        patchIds: null,
+      };
+
+      this.cherryPickCandidates = mainComparison.commits.map((commit) => {
+        const pullNumber = CherryPickUtils.extractPullNumber(commit.commit.message);
+        const pull = pullsBySha.get(commit.sha) || null;
+        return { commit, pull, pullNumber: pull ? pull.number : pullNumber, appliedBy: null };
+      });
+
+      const { total_commits: total, commits } = mainComparison;
+      const truncated = total > commits.length ? ` (first ${commits.length} shown)` : "";
+      const lookupHint = this.pullLookupHint(commits.length);
+      status.textContent = `${total} commit(s) on ${defaultBranch} since ${baseRef}${truncated}${lookupHint ? ` · ${lookupHint}` : ""}`;
+      this.showSection("cherry-pick-assistant");
+      await this.renderCherryPickCandidates();
+    } catch (error) {
+      status.textContent = `Failed to find cherry-pick candidates: ${error.message}`;
+    } finally {
+      button.disabled = false;
+    }
   }
 
-  hideLoading() {
-    document.getElementById("loading").classList.add("hidden");
+  getFilteredCherryPickCandidates() {
+    const labelFilter = document
+      .getElementById("cherry-pick-label-filter")
+      .value.split(",")
+      .map((label) => label.trim().toLowerCase())
+      .filter(Boolean);
+    const messageFilter = document.getElementById("cherry-pick-message-filter").value.trim();
+    const hideApplied = document.getElementById("cherry-pick-hide-applied").checked;
+
+    let messagePattern = null;
+    try {
+      messagePattern = messageFilter ? new RegExp(messageFilter, "i") : null;
+    } catch {
+      messagePattern = null;
+    }
+
+    return this.cherryPickCandidates.filter((candidate) => {
+      if (hideApplied && candidate.appliedBy) {
+        return false;
+      }
+      if (labelFilter.length) {
+        const labels = candidate.pull ? candidate.pull.labels.map((label) => label.name.toLowerCase()) : [];
+        if (!labelFilter.some((label) => labels.includes(label))) {
+          return false;
+        }
+      }
+      return !messagePattern || messagePattern.test(candidate.commit.commit.message);
+    });
   }
 
-  showError(elementId, message) {
-    const errorElement = document.getElementById(elementId);
-    errorElement.textContent = message;
-    errorElement.classList.add("show");
+  // Marks candidates already on the release branch by trailer, PR number, then patch-id
+  async markAppliedCherryPicks(candidates) {
+    const { owner, repo } = this.currentRepo;
+    const applied = this.cherryPickApplied;
+
+    candidates.forEach((candidate) => {
+      if ([...applied.shas].some((sha) => candidate.commit.sha.startsWith(sha))) {
+        candidate.appliedBy = "cherry-pick trailer";
+      } else if (candidate.pullNumber && applied.pullNumbers.has(candidate.pullNumber)) {
+        candidate.appliedBy = `PR #${candidate.pullNumber}`;
+      }
+    });
+
+    // Patch-ids need one request per commit, so only compute them with a token and for a bounded set
+    const unmatched = candidates.filter((candidate) => !candidate.appliedBy).slice(0, MAX_PATCH_ID_COMMITS);
+    if (!this.api.token || unmatched.length === 0 || this.cherryPickReleaseCommits.length === 0) {
+      return;
+    }
+
+    if (!applied.patchIds) {
+      const releasePatchIds = await AsyncUtils.mapWithLimit(
+        this.cherryPickReleaseCommits,
+        COMMIT_LOOKUP_CONCURRENCY,
+        (commit) => this.getCommitPatchId(owner, repo, commit.sha)
+      );
+      applied.patchIds = new Set(releasePatchIds.filter(Boolean));
+    }
+
+    await AsyncUtils.mapWithLimit(unmatched, COMMIT_LOOKUP_CONCURRENCY, async (candidate) => {
+      const patchId = await this.getCommitPatchId(owner, repo, candidate.commit.sha);
+      if (patchId && applied.patchIds.has(patchId)) {
+        candidate.appliedBy = "patch-id";
+      }
+    });
   }
 
-  hideError(elementId) {
-    document.getElementById(elementId).classList.remove("show");
+  async getCommitPatchId(owner, repo, sha) {
+    if (!this.commitDetailsCache.has(sha)) {
+      const patchId = this.api
+        .getCommit(owner, repo, sha)
+        .then((commit) => CherryPickUtils.patchId(commit.files || []))
+        .catch(() => null);
+      this.commitDetailsCache.set(sha, patchId);
+    }
+    return this.commitDetailsCache.get(sha);
   }
 
-  async analyzeRepo() {
-    const repoInput = document.getElementById("repo-input").value.trim();
-    this.hideError("repo-error");
+  async renderCherryPickCandidates() {
+    const { owner, repo } = this.currentRepo;
+    const list = document.getElementById("cherry-pick-candidates");
+    const candidates = this.getFilteredCherryPickCandidates();
+    const renderId = ++this.cherryPickRenderId;
 
-    if (!repoInput) {
-      this.showError("repo-error", "Please enter a repository name");
+    await this.markAppliedCherryPicks(candidates);
+    // A newer filter change already re-rendered the list
+    if (renderId !== this.cherryPickRenderId) {
       return;
     }
+    list.innerHTML = "";
 
-    const [owner, repo] = repoInput.split("/");
-    if (!owner || !repo) {
-      this.showError("repo-error", "Please use format: owner/repo");
-      return;
+    if (candidates.length === 0) {
+      const li = document.createElement("li");
+      li.textContent = "No matching commits";
+      list.appendChild(li);
     }
 
-    this.showLoading();
+    candidates.forEach((candidate) => {
+      const { commit, pull } = candidate;
+      const li = document.createElement("li");
+      li.className = candidate.appliedBy ? "cherry-pick-candidate applied" : "cherry-pick-candidate";
 
-    try {
-      // Fetch initial data in parallel
-      const [repoData, releases] = await Promise.all([
-        this.api.getRepo(owner, repo),
-        this.api.getReleases(owner, repo),
-      ]);
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = commit.sha;
+      checkbox.disabled = !!candidate.appliedBy;
+      checkbox.addEventListener("change", () => this.updateCherryPickCommand());
+      li.appendChild(checkbox);
 
-      this.repoData = repoData;
-      this.releases = releases;
-      this.packageData = null; // Will be fetched when needed for branch checking
+      const commitLink = document.createElement("a");
+      commitLink.href = `${this.repoWebURL(owner, repo)}/commit/${commit.sha}`;
+      commitLink.target = "_blank";
+      commitLink.className = "commit-link";
+      commitLink.textContent = commit.sha.substring(0, 7);
+      li.append(" ", commitLink, ` ${commit.commit.message.split("\n")[0]}`);
 
-      this.currentRepo = { owner, repo };
-      await this.updateCurrentStatus();
-      this.showSection("current-status");
-      this.showSection("plan-release");
-    } catch (error) {
-      this.showError("repo-error", `Failed to fetch repository: ${error.message}`);
-    } finally {
-      this.hideLoading();
-    }
-  }
+      if (pull) {
+        pull.labels.forEach((label) => {
+          const badge = document.createElement("span");
+          badge.className = "badge badge-label";
+          badge.textContent = label.name;
+          li.append(" ", badge);
+        });
+      }
 
-  async updateCurrentStatus() {
-    // Filter releases ending with "-vscode"
-    const vscodeReleases = this.releases.filter((release) => release.tag_name.endsWith("-vscode"));
+      if (candidate.appliedBy) {
+        const badge = document.createElement("span");
+        badge.className = "badge badge-stable";
+        badge.textContent = `on release branch (${candidate.appliedBy})`;
+        li.append(" ", badge);
+      }
 
-    const latestRelease = vscodeReleases.find((release) => !release.prerelease);
-    const latestPrerelease = vscodeReleases.find((release) => release.prerelease);
+      list.appendChild(li);
+    });
 
-    const { owner, repo } = this.currentRepo;
+    this.updateCherryPickCommand();
+  }
 
-    // Update latest release with hyperlink and date
-    const latestReleaseElement = document.getElementById("latest-release");
-    const releaseDateElement = document.getElementById("release-date");
-    if (latestRelease) {
-      const releaseUrl = `https://github.com/${owner}/${repo}/releases/tag/${latestRelease.tag_name}`;
-      latestReleaseElement.innerHTML = `<a href="${releaseUrl}" target="_blank" class="release-link">${latestRelease.tag_name}</a>`;
-      const releaseDate = new Date(latestRelease.published_at);
-      const daysAgo = this.calculateDaysAgo(releaseDate);
-      const formattedDate = releaseDate.toLocaleDateString("en-US", {
-        month: "numeric",
-        day: "numeric",
-        year: "numeric",
-      });
+  updateCherryPickCommand() {
+    const selected = new Set(
+      [...document.querySelectorAll("#cherry-pick-candidates input:checked")].map((checkbox) => checkbox.value)
+    );
+    // Candidates come from the compare API oldest first, which is the order they must be applied in
+    const commits = this.cherryPickCandidates
+      .filter((candidate) => selected.has(candidate.commit.sha))
+      .map((candidate) => candidate.commit);
 
-      releaseDateElement.textContent = `${formattedDate} (${daysAgo} days ago)`;
-    } else {
-      latestReleaseElement.textContent = "No releases";
-      releaseDateElement.textContent = "";
+    const commandGroup = document.getElementById("cherry-pick-command-group");
+    commandGroup.classList.toggle("hidden", commits.length === 0);
+    document.getElementById("cherry-pick-command").textContent = CherryPickUtils.buildCommand(commits);
+  }
+
+  renderNotesPreview() {
+    const markdown = document.getElementById("release-notes-input").value;
+    document.getElementById("release-notes-preview").innerHTML = ReleaseNotes.toHtml(markdown);
+  }
+
+  // Resolves to false, leaving the releases alone, when another analysis started while they were loading
+  async refreshReleases() {
+    const analysisId = this.analysisId;
+    const { owner, repo } = this.currentRepo;
+    const releases = await this.api.getReleases(
+      owner,
+      repo,
+      Preferences.get("max-release-pages", DEFAULT_MAX_RELEASE_PAGES)
+    );
+    if (analysisId !== this.analysisId) {
+      return false;
     }
+    this.releases = releases;
+    this.renderReleaseHistory();
+    return true;
+  }
 
-    // Update latest pre-release with hyperlink and date
-    const latestPrereleaseElement = document.getElementById("latest-prerelease");
-    const prereleaseDateElement = document.getElementById("prerelease-date");
-    if (latestPrerelease) {
-      const prereleaseUrl = `https://github.com/${owner}/${repo}/releases/tag/${latestPrerelease.tag_name}`;
-      latestPrereleaseElement.innerHTML = `<a href="${prereleaseUrl}" target="_blank" class="release-link">${latestPrerelease.tag_name}</a>`;
-      const prereleaseDate = new Date(latestPrerelease.published_at);
-      const daysAgo = this.calculateDaysAgo(prereleaseDate);
-      const formattedDate = prereleaseDate.toLocaleDateString("en-US", {
-        month: "numeric",
-        day: "numeric",
-        year: "numeric",
-      });
+  setActionEnabled(buttonId, enabled) {
+    document.getElementById(buttonId).disabled = !enabled;
+  }
 
-      prereleaseDateElement.textContent = `${formattedDate} (${daysAgo} days ago)`;
-    } else {
-      latestPrereleaseElement.textContent = "No pre-releases";
-      prereleaseDateElement.textContent = "";
+  getNextPrereleaseVersion(latestRelease, latestPrerelease) {
+    const latest = latestPrerelease || latestRelease;
+    if (!latest) {
+      return null;
     }
 
-    // Pre-fill version inputs and show release process
-    if (latestRelease) {
-      const nextVersion = this.getNextPatchVersion(latestRelease.tag_name);
-      document.getElementById("target-release-version").value = nextVersion;
+    const { major, minor } = VersionUtils.parse(ProfileUtils.stripSuffix(this.profile, latest.tag_name));
+    const step = latestPrerelease ? this.profile.prereleaseMinorStep || 1 : 1;
+    return `v${major}.${minor + step}.0`;
+  }
 
-      // Pre-fill from-version with latest pre-release
-      const fromVersion = latestPrerelease ? latestPrerelease.tag_name : "";
-      document.getElementById("from-prerelease-version").value = fromVersion;
+  preparePrereleaseWorkflow(latestRelease, latestPrerelease) {
+    const nextVersion = this.getNextPrereleaseVersion(latestRelease, latestPrerelease);
+    document.getElementById("prerelease-version").value = nextVersion || "";
+    document.getElementById("prerelease-source-branch").value = this.repoData.default_branch;
+    this.latestPrereleaseTag = latestPrerelease ? latestPrerelease.tag_name : null;
+    this.prereleaseVersion = null;
 
-      // Automatically show release process with default version
-      this.generateReleaseSteps(nextVersion);
-      this.showSection("release-process");
-      this.checkReleaseSteps(nextVersion);
+    if (nextVersion) {
+      this.validatePrereleaseVersion();
+    } else {
+      this.hideSection("prerelease-process");
     }
   }
 
-  async validateVersion() {
-    const versionInput = document.getElementById("target-release-version").value.trim();
+  validatePrereleaseVersion() {
+    const versionInput = document.getElementById("prerelease-version").value.trim();
+    this.renderVersionWarnings(
+      versionInput,
+      "prerelease-version-warning",
+      this.latestPrereleaseTag,
+      "latest pre-release"
+    );
 
-    // Only update steps if version is valid, otherwise keep existing steps
     if (versionInput && VersionUtils.isValidSemver(versionInput)) {
-      // Generate release process steps
-      this.generateReleaseSteps(versionInput);
-      this.showSection("release-process");
-
-      // Start checking steps
-      this.checkReleaseSteps(versionInput);
+      this.generatePrereleaseSteps(versionInput);
+      this.showSection("prerelease-process");
+      this.checkPrereleaseSteps(versionInput);
     }
-    // Don't hide the section if invalid - just don't update it
   }
 
+  generatePrereleaseSteps(version) {
+    const profile = this.profile;
+    const { owner, repo } = this.currentRepo;
+    const branch = ProfileUtils.prereleaseBranch(profile, version);
+    const tagName = ProfileUtils.tagName(profile, version);
+    const sourceBranch =
+      document.getElementById("prerelease-source-branch").value.trim() || this.repoData.default_branch;
+    this.prereleaseVersion = version;
 
-  generateReleaseSteps(version) {
-    const cleanVersion = version.replace(/^v/, "");
+    document.getElementById("create-prerelease-branch-command").textContent =
+      `git checkout -b ${branch} ${sourceBranch}`;
+    document.getElementById("prerelease-target-version").textContent = version.replace(/^v/, "");
+    document.getElementById("prerelease-manifest-path").textContent = [
+      ...new Set(ProfileUtils.versionFiles(profile).map((file) => file.path)),
+    ].join(", ");
+    document.getElementById("push-prerelease-branch-command").textContent = `git push origin ${branch}`;
+    document.getElementById("push-prerelease-tag-command").textContent =
+      `git tag ${tagName} ${branch} && git push origin ${tagName}`;
+    this.renderVersionFileChecks("prerelease-version-file-checks");
+    this.renderAssetChecks("prerelease-asset-checks");
 
-    // Get base branch from the from-version input
-    const fromVersionInput = document.getElementById("from-prerelease-version").value.trim();
-    const baseBranch =
-      fromVersionInput || `v${cleanVersion.split(".")[0]}.${parseInt(cleanVersion.split(".")[1]) + 1}.x-vscode`;
+    const releaseParams = new URLSearchParams({ tag: tagName, target: branch, prerelease: "1" });
+    document.getElementById("create-prerelease-link").href =
+      `${this.repoWebURL(owner, repo)}/releases/new?${releaseParams.toString()}`;
 
-    // Update all commands and references
-    document.getElementById(
-      "create-release-branch-command"
-    ).textContent = `git checkout -b ${version}-vscode-release ${baseBranch}`;
-    document.getElementById("target-version").textContent = cleanVersion;
-    document.getElementById("push-release-branch-command").textContent = `git push origin ${version}-vscode-release`;
+    const previousTag = this.latestPrereleaseTag || "latest pre-release";
+    document
+      .getElementById("prerelease-instruction")
+      .replaceChildren(
+        "Select ",
+        DomUtils.element("strong", `"Previous tag: ${previousTag}"`),
+        ", click ",
+        DomUtils.element("strong", '"Generate release notes"'),
+        ", make sure ",
+        DomUtils.element("strong", '"Set as a pre-release"'),
+        " is checked, then ",
+        DomUtils.element("strong", '"Publish release"'),
+        "!"
+      );
+  }
+
+  checkPrereleaseSteps(version) {
+    return this.queueChecks("prerelease", () => this.runPrereleaseChecks(version));
+  }
+
+  async runPrereleaseChecks(version) {
+    if (!this.currentRepo) {
+      return;
+    }
 
-    // Generate GitHub release URL with query parameters
     const { owner, repo } = this.currentRepo;
-    const releaseParams = new URLSearchParams({
-      tag: `${version}-vscode`,
-      target: `${version}-vscode-release`,
-    });
 
-    const releaseUrl = `https://github.com/${owner}/${repo}/releases/new?${releaseParams.toString()}`;
-    document.getElementById("create-release-link").href = releaseUrl;
+    document.querySelectorAll("#prerelease-process .check-item").forEach((check) => {
+      check.className = "check-item";
+    });
 
-    // Update the instruction text with the actual latest release
-    const vscodeReleases = this.releases.filter((release) => release.tag_name.endsWith("-vscode"));
-    const latestRelease = vscodeReleases.find((release) => !release.prerelease);
-    const latestReleaseTag = latestRelease ? latestRelease.tag_name : "latest release";
+    const retry = () => this.checkPrereleaseSteps(version);
+    const report = await this.createReleaseChecks().runPrerelease(version, { releases: this.releases });
+    this.renderBranchChecks(report, "prerelease-branch-exists-check", "prerelease-version-file-checks", retry);
+    this.renderReleaseCheck(report, "github-prerelease-published-check", "prerelease-asset-checks", retry);
 
-    const instructionElement = document.querySelector(".github-release-instructions .step-instruction");
-    instructionElement.innerHTML = `This will open GitHub, then select <strong>"Previous tag: ${latestReleaseTag}"</strong>, click <strong>"Generate release notes"</strong> and <strong>"Publish release"</strong>!`;
+    this.highlightChangedChecks("prerelease-process", `${owner}/${repo}@${version}`);
   }
 
   getNextPatchVersion(currentVersion) {
-    const cleanVersion = currentVersion.replace(/^v/, "").replace(/-vscode$/, "");
-    const parts = cleanVersion.split(".").map(Number);
-    return `v${parts[0]}.${parts[1]}.${parts[2] + 1}`;
+    return ProfileUtils.nextPatchVersion(this.profile, currentVersion);
   }
 
   calculateDaysAgo(date) {
@@ -356,147 +4040,272 @@ class ReleaseApp {
     return diffInDays;
   }
 
-  async checkReleaseSteps(version) {
+  checkReleaseSteps(version) {
+    return this.queueChecks("release", () => this.runReleaseChecks(version));
+  }
+
+  // Runs are queued so a slow, older run can never overwrite newer results; superseded runs are skipped. A run that
+  // fails part-way shows the error, with a retry, on the checks of its "<workflow>-process" section it left blank.
+  queueChecks(workflow, run) {
+    const requestId = (this.checkRequestIds[workflow] || 0) + 1;
+    this.checkRequestIds[workflow] = requestId;
+    this.checkQueue = this.checkQueue
+      .then(() => (requestId === this.checkRequestIds[workflow] ? run() : null))
+      .catch((error) => {
+        const retry = () => this.queueChecks(workflow, run);
+        document.querySelectorAll(`#${workflow}-process .check-item:not(.manual-check)`).forEach((check) => {
+          if (check.className === "check-item") {
+            this.updateErrorStatus(check, error, retry);
+          }
+        });
+      });
+    return this.checkQueue;
+  }
+
+  async runReleaseChecks(version) {
     if (!this.currentRepo) {
       return;
     }
 
     const { owner, repo } = this.currentRepo;
-    const releaseBranchName = `${version}-vscode-release`;
 
-    // Reset all checks
-    const checks = ["release-branch-exists-check", "package-version-check", "github-release-published-check"];
-    checks.forEach((checkId) => {
-      const check = document.getElementById(checkId);
-      if (check) {
-        check.className = "check-item";
-      }
+    // Reset all automated checks; manual sign-offs are kept
+    document.querySelectorAll("#release-process .check-item:not(.manual-check)").forEach((check) => {
+      check.className = "check-item";
     });
+    this.stopCIPolling();
 
-    // Check if branch exists
-    let branchExists = false;
-    try {
-      branchExists = await this.api.checkBranchExists(owner, repo, releaseBranchName);
-    } catch (error) {
-      // Will be handled in individual checks below
-    }
-
-    // Step 1: Branch exists check
-    await this.checkBranchExists(owner, repo, releaseBranchName, branchExists);
+    const retry = () => this.checkReleaseSteps(version);
+    const from = document.getElementById("from-prerelease-version").value.trim();
+    const report = await this.createReleaseChecks().runRelease(version, { from, releases: this.releases });
 
-    // Step 2: Package version check
-    await this.checkPackageVersion(owner, repo, version, releaseBranchName, branchExists);
+    this.renderBranchChecks(report, "release-branch-exists-check", "version-file-checks", retry);
+    this.setActionEnabled("create-branch-action", report.branch === null);
+    this.setActionEnabled("bump-version-action", report.versionFilesOutdated);
 
-    // Step 5: Cherry-picked commits (show only if branch exists)
-    if (branchExists) {
-      await this.checkCherryPickedCommits(owner, repo, releaseBranchName);
+    // Cherry-picked commits (shown only when the branch exists)
+    if (report.cherryPicks) {
+      this.showCherryPickInfo(owner, repo, report.cherryPicks);
     } else {
       this.hideCherryPickInfo();
     }
 
-    // Step 6: GitHub release check (independent of branch)
-    await this.checkGitHubReleaseExists(owner, repo, version);
+    // CI status on the release branch head; when the branch itself couldn't be checked, retry everything
+    const ciRetry = report.branch === undefined ? retry : () => this.checkCIStatus(owner, repo, report.branch);
+    this.renderCIStatus(report.ci, owner, repo, report.branch, ciRetry);
+
+    // GitHub release check (independent of branch)
+    const targetRelease = this.renderReleaseCheck(
+      report,
+      "github-release-published-check",
+      "release-asset-checks",
+      retry
+    );
+    this.targetReleaseExists = !!targetRelease;
+    this.setActionEnabled("create-draft-release-action", !targetRelease);
+    this.setActionEnabled("publish-release-action", !targetRelease && !this.publishBlocked);
+
+    this.highlightChangedChecks("release-process", `${owner}/${repo}@${version}`);
   }
 
-  async checkBranchExists(owner, repo, releaseBranchName, branchExists) {
-    const releaseBranchExistsCheck = document.getElementById("release-branch-exists-check");
-    const branchUrl = `https://github.com/${owner}/${repo}/tree/${releaseBranchName}`;
+  createReleaseChecks() {
+    const { owner, repo } = this.currentRepo;
+    return new ReleaseChecks(this.api, { owner, repo, profile: this.profile, webURL: this.server.webURL });
+  }
 
-    if (branchExists) {
-      this.updateStatus(
-        releaseBranchExistsCheck,
-        true,
-        `<a href="${branchUrl}" target="_blank" class="branch-link">Branch ${releaseBranchName} found</a>`
-      );
-    } else {
-      this.updateStatus(releaseBranchExistsCheck, false, "Release branch missing, run command to create branch");
-    }
+  renderBranchChecks(report, branchCheckId, versionFilesId, retry) {
+    this.renderCheck(document.getElementById(branchCheckId), report.checks["create-branch"][0], retry);
+    report.checks["version-files"].forEach((result, index) => {
+      this.renderCheck(document.getElementById(`${versionFilesId}-${index}`), result, retry);
+    });
   }
 
-  async checkPackageVersion(owner, repo, version, releaseBranchName, branchExists) {
-    const packageVersionCheck = document.getElementById("package-version-check");
+  // Returns the matching release, if any
+  renderReleaseCheck(report, releaseCheckId, assetContainerId, retry) {
+    const [releaseResult, ...assetResults] = report.checks["github-release"];
+    this.renderCheck(document.getElementById(releaseCheckId), releaseResult, retry, "release-exists-check-link");
+    assetResults.forEach((result, index) => {
+      const check = document.getElementById(`${assetContainerId}-${index}`);
+      this.renderCheck(check, result, retry, "release-exists-check-link");
+    });
+    return report.release;
+  }
 
-    if (!branchExists) {
-      this.updateStatus(packageVersionCheck, false, "Release branch missing");
+  // Compares each check item with the previous run for the same target and flags the ones that flipped
+  highlightChangedChecks(sectionId, targetKey) {
+    const snapshot = new Map();
+    document.querySelectorAll(`#${sectionId} .check-item:not(.manual-check)`).forEach((item) => {
+      snapshot.set(item.id, { state: item.className, text: item.textContent.trim() });
+    });
+
+    const lastRun = this.checkSnapshots[sectionId];
+    const previous = lastRun && lastRun.targetKey === targetKey ? lastRun.items : null;
+    this.checkSnapshots[sectionId] = { targetKey, items: snapshot };
+    if (!previous) {
       return;
     }
 
-    try {
-      const branchPackageJson = await this.api.getPackageJson(owner, repo, releaseBranchName);
-      const expectedVersion = version.replace(/^v/, "");
-      const actualVersion = branchPackageJson.version;
-      const packageJsonPath =
-        owner === "continuedev" && repo === "continue" ? "extensions/vscode/package.json" : "package.json";
+    snapshot.forEach((current, id) => {
+      const before = previous.get(id);
+      if (!before || before.state === current.state) {
+        return;
+      }
+
+      const item = document.getElementById(id);
+      item.classList.remove("changed");
+      void item.offsetWidth; // Restart the highlight animation
+      item.classList.add("changed");
+
+      const stepTitle = item.closest(".step-group").querySelector("h4").textContent;
+      this.notify(stepTitle, current.text);
+    });
+  }
+
+  notify(title, body) {
+    const enabled = document.getElementById("auto-refresh-notify").checked;
+    if (enabled && "Notification" in window && Notification.permission === "granted") {
+      new Notification(`Release Man: ${title}`, { body });
+    }
+  }
+
+  initAutoRefresh() {
+    const toggle = document.getElementById("auto-refresh-toggle");
+    const intervalSelect = document.getElementById("auto-refresh-interval");
+    const notifyToggle = document.getElementById("auto-refresh-notify");
 
-      // Build URL with line number if available
-      let packageJsonUrl = `https://github.com/${owner}/${repo}/blob/${releaseBranchName}/${packageJsonPath}`;
-      if (branchPackageJson._versionLineNumber) {
-        packageJsonUrl += `#L${branchPackageJson._versionLineNumber}`;
+    AUTO_REFRESH_INTERVALS.forEach((seconds) => {
+      const option = document.createElement("option");
+      option.value = seconds;
+      option.textContent = seconds < 60 ? `${seconds}s` : `${seconds / 60}m`;
+      intervalSelect.appendChild(option);
+    });
+    intervalSelect.value = Preferences.get("auto-refresh-interval", 60);
+    notifyToggle.checked = Preferences.get("auto-refresh-notify", false);
+
+    toggle.addEventListener("change", () => (toggle.checked ? this.scheduleAutoRefresh() : this.stopAutoRefresh()));
+    intervalSelect.addEventListener("change", () => {
+      Preferences.set("auto-refresh-interval", parseInt(intervalSelect.value));
+      if (toggle.checked) {
+        this.scheduleAutoRefresh();
+      }
+    });
+    notifyToggle.addEventListener("change", () => {
+      Preferences.set("auto-refresh-notify", notifyToggle.checked);
+      if (notifyToggle.checked && "Notification" in window && Notification.permission === "default") {
+        Notification.requestPermission();
       }
+    });
+  }
 
-      if (actualVersion === expectedVersion) {
-        this.updateStatus(
-          packageVersionCheck,
-          true,
-          `<a href="${packageJsonUrl}" target="_blank" class="branch-link">package.json version == v${expectedVersion}</a>`
-        );
-      } else {
-        this.updateStatus(
-          packageVersionCheck,
-          false,
-          `<a href="${packageJsonUrl}" target="_blank" class="branch-link">package.json version != v${expectedVersion}</a> (currently v${actualVersion})`
-        );
+  scheduleAutoRefresh() {
+    clearTimeout(this.autoRefreshTimer);
+    const seconds = parseInt(document.getElementById("auto-refresh-interval").value);
+    this.autoRefreshTimer = setTimeout(() => this.autoRefresh(), seconds * 1000);
+  }
+
+  stopAutoRefresh() {
+    clearTimeout(this.autoRefreshTimer);
+    this.autoRefreshTimer = null;
+  }
+
+  // The next refresh is only scheduled once this one finishes, so refreshes never overlap
+  async autoRefresh() {
+    const status = document.getElementById("auto-refresh-status");
+    if (this.currentRepo && this.targetVersion) {
+      try {
+        // A repo analyzed meanwhile loads its own releases and runs its own checks
+        if (await this.refreshReleases()) {
+          this.renderLatestReleases();
+          await this.checkReleaseSteps(this.targetVersion);
+          if (this.prereleaseVersion) {
+            await this.checkPrereleaseSteps(this.prereleaseVersion);
+          }
+          if (this.rollbackPlan) {
+            await this.checkRollbackSteps();
+          }
+          status.textContent = `Last checked ${new Date().toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit", second: "2-digit" })}`;
+        }
+      } catch (error) {
+        status.textContent = `Refresh failed: ${error.message}`;
       }
-    } catch (error) {
-      this.updateStatus(packageVersionCheck, false, "Error checking package.json version");
+    }
+
+    if (document.getElementById("auto-refresh-toggle").checked) {
+      this.scheduleAutoRefresh();
     }
   }
 
-  updateStatus(checkElement, isValid, message) {
-    const text = checkElement.querySelector("span");
+  renderVersionFileChecks(containerId) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
 
-    if (isValid) {
-      checkElement.className = "check-item success";
-      text.innerHTML = `✅ ${message}`;
-    } else {
-      checkElement.className = "check-item danger";
-      text.innerHTML = `❌ ${message}`;
-    }
+    ProfileUtils.versionFiles(this.profile).forEach((file, index) => {
+      const check = document.createElement("div");
+      check.className = "check-item";
+      check.id = `${containerId}-${index}`;
+      const text = document.createElement("span");
+      text.textContent = `${file.path} (${VersionFileUtils.describe(file)})`;
+      check.appendChild(text);
+      container.appendChild(check);
+    });
   }
 
-  async checkCherryPickedCommits(owner, repo, releaseBranchName) {
-    try {
-      // Compare target release branch to from-prerelease-version branch
-      const fromVersionInput = document.getElementById("from-prerelease-version").value.trim();
-      if (!fromVersionInput) {
-        this.hideCherryPickInfo();
-        return;
-      }
+  renderAssetChecks(containerId) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = "";
 
-      const baseBranch = fromVersionInput;
-      const comparison = await this.api.compareCommits(owner, repo, baseBranch, releaseBranchName);
+    ProfileUtils.expectedAssets(this.profile).forEach((pattern, index) => {
+      const check = DomUtils.element("div", "", "check-item");
+      check.id = `${containerId}-${index}`;
+      check.appendChild(DomUtils.element("span", `Asset ${pattern}`));
+      container.appendChild(check);
+    });
+  }
 
-      // Always show the comparison section with link, even if no commits
-      if (comparison && comparison.commits && comparison.commits.length > 0) {
-        this.showCherryPickInfo(owner, repo, baseBranch, releaseBranchName, comparison.commits);
-      } else {
-        this.showCherryPickInfo(owner, repo, baseBranch, releaseBranchName, []);
-      }
-    } catch (error) {
-      this.hideCherryPickInfo();
+  // Renders a ReleaseChecks result; errors get a retry button
+  renderCheck(checkElement, result, retry, linkClass = "branch-link") {
+    if (result.state === "error") {
+      this.updateErrorStatus(checkElement, result.error, retry);
+      return;
     }
+
+    const icons = { success: "✅", danger: "❌", pending: "⏳" };
+    const message = result.link
+      ? [DomUtils.link(result.link.url, result.link.text, linkClass), result.message]
+      : [result.message];
+    this.setCheckState(checkElement, result.state, icons[result.state], message);
+  }
+
+  // The check couldn't run at all (rate limit, auth, network), which is not the same as failing
+  updateErrorStatus(checkElement, error, retry) {
+    this.setCheckState(checkElement, "error", "⚠️", [`Could not check: ${error.message}`]);
+
+    const button = DomUtils.element("button", "Retry", "btn btn-small check-retry");
+    button.addEventListener("click", () => {
+      button.disabled = true;
+      retry();
+    });
+    checkElement.appendChild(button);
+  }
+
+  // message parts are strings (rendered as text) or DOM nodes such as DomUtils.link()
+  setCheckState(checkElement, state, icon, message) {
+    checkElement.className = `check-item ${state}`;
+    checkElement.querySelectorAll(".check-retry").forEach((button) => button.remove());
+    checkElement.querySelector("span").replaceChildren(`${icon} `, ...message);
   }
 
-  showCherryPickInfo(owner, repo, baseBranch, releaseBranch, commits) {
+  showCherryPickInfo(owner, repo, { commits, compareURL, error }) {
     const cherryPickInfo = document.getElementById("cherry-picked-commits-info");
     const cherryPickList = document.getElementById("cherry-picked-commits-list");
-    const compareLink = document.getElementById("github-compare-link");
 
     // Clear existing list
     cherryPickList.innerHTML = "";
 
     // Add commits to list or show "None"
-    if (commits.length === 0) {
+    if (error) {
+      cherryPickList.appendChild(DomUtils.element("li", `⚠️ ${error}`));
+    } else if (commits.length === 0) {
       const li = document.createElement("li");
       li.textContent = "None";
       cherryPickList.appendChild(li);
@@ -505,16 +4314,14 @@ class ReleaseApp {
         const li = document.createElement("li");
         const shortSha = commit.sha.substring(0, 7);
         const message = commit.commit.message.split("\n")[0]; // First line only
-        const commitUrl = `https://github.com/${owner}/${repo}/commit/${commit.sha}`;
+        const commitUrl = `${this.repoWebURL(owner, repo)}/commit/${commit.sha}`;
 
-        li.innerHTML = `<a href="${commitUrl}" target="_blank" class="commit-link">${shortSha}</a> ${message}`;
+        li.append(DomUtils.link(commitUrl, shortSha, "commit-link"), ` ${message}`);
         cherryPickList.appendChild(li);
       });
     }
 
-    // Set compare link
-    const compareUrl = `https://github.com/${owner}/${repo}/compare/${baseBranch}...${releaseBranch}`;
-    compareLink.href = compareUrl;
+    document.getElementById("github-compare-link").href = compareURL;
 
     // Show the section
     cherryPickInfo.style.display = "block";
@@ -525,27 +4332,75 @@ class ReleaseApp {
     cherryPickInfo.style.display = "none";
   }
 
-  async checkGitHubReleaseExists(owner, repo, version) {
-    const githubReleasePublishedCheck = document.getElementById("github-release-published-check");
-    const targetReleaseTag = `${version}-vscode`;
+  // Re-checks CI alone, for polling and retries
+  async checkCIStatus(owner, repo, branch) {
+    const pollId = this.ciPollId;
+    const ci = await this.createReleaseChecks().ci(branch);
 
-    try {
-      // Check if release exists by looking through existing releases
-      const targetRelease = this.releases.find((release) => release.tag_name === targetReleaseTag);
-
-      if (targetRelease) {
-        const releaseUrl = `https://github.com/${owner}/${repo}/releases/tag/${targetReleaseTag}`;
-        this.updateStatus(
-          githubReleasePublishedCheck,
-          true,
-          `<a href="${releaseUrl}" target="_blank" class="release-exists-check-link">Release ${targetReleaseTag} published</a>`
-        );
+    // A newer checkReleaseSteps run owns the DOM now
+    if (pollId === this.ciPollId) {
+      this.renderCIStatus(ci, owner, repo, branch, () => this.checkCIStatus(owner, repo, branch));
+    }
+  }
+
+  renderCIStatus(ci, owner, repo, branch, retry) {
+    this.renderCIChecks(ci.checks);
+    this.renderCheck(document.getElementById("ci-status-check"), ci.result, retry);
+    this.setPublishBlocked(ci.blockedReason);
+
+    // Keep polling until every check has settled
+    if (ci.checks.some((check) => check.state === "pending")) {
+      this.scheduleCIPoll(owner, repo, branch);
+    }
+  }
+
+  renderCIChecks(ciChecks) {
+    const ciChecksList = document.getElementById("ci-checks-list");
+    const icons = { success: "✅", failure: "❌", pending: "⏳" };
+    ciChecksList.innerHTML = "";
+
+    ciChecks.forEach((check) => {
+      const li = document.createElement("li");
+      li.className = `ci-check ${check.state}`;
+      li.append(`${icons[check.state]} `);
+
+      if (check.url) {
+        const link = document.createElement("a");
+        link.href = check.url;
+        link.target = "_blank";
+        link.className = "external-link";
+        link.textContent = check.name;
+        li.appendChild(link);
       } else {
-        this.updateStatus(githubReleasePublishedCheck, false, `GitHub release ${targetReleaseTag} not found`);
+        li.append(check.name);
       }
-    } catch (error) {
-      this.updateStatus(githubReleasePublishedCheck, false, "Error checking GitHub release status");
-    }
+
+      li.append(` — ${check.detail}${check.required ? "" : " (not required)"}`);
+      ciChecksList.appendChild(li);
+    });
+  }
+
+  scheduleCIPoll(owner, repo, branch) {
+    const pollId = this.ciPollId;
+    this.ciPollTimer = setTimeout(() => {
+      if (pollId === this.ciPollId) {
+        this.checkCIStatus(owner, repo, branch);
+      }
+    }, CI_POLL_INTERVAL_MS);
+  }
+
+  stopCIPolling() {
+    clearTimeout(this.ciPollTimer);
+    this.ciPollTimer = null;
+    this.ciPollId++;
+  }
+
+  setPublishBlocked(reason) {
+    const note = document.getElementById("publish-blocked-note");
+    this.publishBlocked = !!reason;
+    note.textContent = reason ? `⛔ Publishing blocked: ${reason}` : "";
+    note.classList.toggle("hidden", !reason);
+    this.setActionEnabled("publish-release-action", !this.publishBlocked && !this.targetReleaseExists);
   }
 
   showSection(sectionId) {
@@ -557,9 +4412,25 @@ class ReleaseApp {
   }
 }
 
-// Initialize app when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
-  const app = new ReleaseApp();
-  // Auto-load the default repository on page load
-  app.analyzeRepo();
-});
+// In Node (the command-line tool) export the shared logic; in the browser initialize the app when the DOM is loaded
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DEFAULT_MAX_RELEASE_PAGES,
+    DEFAULT_PROFILE_ID,
+    DEFAULT_RELEASE_STEPS,
+    RELEASE_PROFILES,
+    GitHubAPI,
+    GitHubAPIError,
+    ServerUtils,
+    ProfileUtils,
+    VersionUtils,
+    RollbackPlan,
+    ReleaseChecks,
+  };
+} else {
+  document.addEventListener("DOMContentLoaded", () => {
+    const app = new ReleaseApp();
+    // Auto-load the repository from the URL, or the default one
+    app.restoreFromURL();
+  });
+}
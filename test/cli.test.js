@@ -0,0 +1,128 @@
+const { test, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { main } = require("../bin/release-man");
+const { FakeGitHub, DEMO_REPO, DEMO_FIXTURES } = require("../fake-github");
+const { createReleaseBranch, publishRelease } = require("./helpers");
+
+let fake;
+let demo;
+
+beforeEach(() => {
+  fake = new FakeGitHub(DEMO_FIXTURES);
+  demo = fake.repos[DEMO_REPO];
+});
+
+// Resolves to { code, stdout, stderr }
+async function run(...argv) {
+  const output = { stdout: "", stderr: "" };
+  const stream = (name) => ({ write: (text) => (output[name] += text) });
+  const code = await main(argv, {
+    transport: fake.transport,
+    env: {},
+    stdout: stream("stdout"),
+    stderr: stream("stderr"),
+  });
+  return { code, ...output };
+}
+
+// The v1.2.5 release as it looks once everything is done: bumped branch, green CI, published release with assets.
+// Being the latest stable release, it moves the default target on, so tests pass --target v1.2.5.
+function completeRelease() {
+  createReleaseBranch(demo);
+  publishRelease(demo, "v1.2.5-vscode");
+}
+
+test("fails while the release hasn't been started", async () => {
+  const { code, stdout } = await run("check", DEMO_REPO, "--target", "v1.2.5");
+
+  assert.equal(code, 1);
+  assert.match(stdout, /demo\/continue · VS Code extension · v1\.2\.5/);
+  assert.match(stdout, /❌ Branch missing, run command to create branch/);
+  assert.match(stdout, /❌ Not ready: Create release branch, Update Version Files, Verify CI Status/);
+});
+
+test("defaults to the next patch, promoted from the latest pre-release", async () => {
+  const { stdout } = await run("check", DEMO_REPO, "--json");
+  const report = JSON.parse(stdout);
+
+  assert.equal(report.version, "v1.2.5");
+  assert.equal(report.tag, "v1.2.5-vscode");
+  assert.equal(report.branch, "v1.2.5-vscode-release");
+  assert.equal(report.base, "v1.3.1-vscode");
+});
+
+test("passes once every step is done", async () => {
+  completeRelease();
+  const { code, stdout } = await run("check", DEMO_REPO, "--target", "v1.2.5");
+  assert.equal(code, 0);
+  assert.match(stdout, /✅ Branch v1\.2\.5-vscode-release found/);
+  assert.match(stdout, /✅ extensions\/vscode\/package\.json version == v1\.2\.5/);
+  assert.match(stdout, /✅ All 2 required check\(s\) passed/);
+  assert.match(stdout, /✅ Release v1\.2\.5-vscode published/);
+  assert.match(stdout, /\n✅ Ready\n$/);
+});
+
+test("--json reports every step with its checks", async () => {
+  completeRelease();
+  demo.checkRuns[demo.branches["v1.3.x-vscode"]][0].conclusion = "failure";
+  const { code, stdout } = await run("check", DEMO_REPO, "--target", "v1.2.5", "--json");
+  const report = JSON.parse(stdout);
+
+  assert.equal(code, 1);
+  assert.equal(report.ok, false);
+  assert.deepEqual(
+    report.steps.map((step) => [step.id, step.state]),
+    [
+      ["create-branch", "success"],
+      ["version-files", "success"],
+      ["cherry-pick", "manual"],
+      ["smoke-test", "manual"],
+      ["push-branch", "unchecked"],
+      ["ci-status", "danger"],
+      ["github-release", "success"],
+    ]
+  );
+  const ci = report.steps.find((step) => step.id === "ci-status");
+  assert.match(ci.checks[0].text, /1 required check\(s\) failing/);
+  assert.deepEqual(
+    ci.ciChecks.map((check) => [check.name, check.state]),
+    [
+      ["build", "failure"],
+      ["test", "success"],
+    ]
+  );
+  assert.deepEqual(report.cherryPicks.commits, []);
+});
+
+test("--skip leaves a step out, e.g. publishing before the tag exists", async () => {
+  completeRelease();
+  demo.releases.shift();
+  assert.equal((await run("check", DEMO_REPO, "--target", "v1.2.5")).code, 1);
+
+  const { code, stdout } = await run("check", DEMO_REPO, "--target", "v1.2.5", "--skip", "github-release");
+  assert.equal(code, 0);
+  assert.doesNotMatch(stdout, /Create GitHub Release/);
+});
+
+test("checks that can't run fail the run as errors", async () => {
+  completeRelease();
+  fake.fail(/check-runs/, 502);
+  const { code, stdout } = await run("check", DEMO_REPO, "--target", "v1.2.5");
+
+  assert.equal(code, 1);
+  assert.match(stdout, /⚠️ Could not check: GitHub API error: 502/);
+});
+
+test("bad arguments and unknown repositories exit with 2", async () => {
+  const usage = await run("check");
+  assert.equal(usage.code, 2);
+  assert.match(usage.stderr, /Usage: release-man check/);
+
+  assert.equal((await run("check", DEMO_REPO, "--profile", "nope")).code, 2);
+  assert.equal((await run("check", DEMO_REPO, "--target", "1.2")).code, 2);
+  assert.equal((await run("check", DEMO_REPO, "--skip", "nope")).code, 2);
+
+  const missing = await run("check", "someone/else");
+  assert.equal(missing.code, 2);
+  assert.match(missing.stderr, /could not check someone\/else: Not found on GitHub \(404\)/);
+});
@@ -0,0 +1,92 @@
+// Loads index.html and the app scripts into jsdom, with FakeGitHub in place of the network
+const fs = require("node:fs");
+const path = require("node:path");
+const { JSDOM } = require("jsdom");
+
+const root = path.join(__dirname, "..");
+const read = (file) => fs.readFileSync(path.join(root, file), "utf8");
+
+// The scripts run as inline <script>s once the document has loaded, so top-level classes are shared between them
+// and their DOMContentLoaded handler never starts an app of its own
+async function loadWindow() {
+  const html = read("index.html").replace(/<script src="[^"]+"><\/script>/g, "");
+  const { window } = new JSDOM(html, { url: "https://release-man.test/", runScripts: "dangerously" });
+  window.TextEncoder = TextEncoder;
+  window.TextDecoder = TextDecoder;
+  await new Promise((resolve) => window.addEventListener("DOMContentLoaded", resolve));
+
+  ["fake-github.js", "script.js"].forEach((file) => {
+    const script = window.document.createElement("script");
+    script.textContent = read(file);
+    window.document.body.appendChild(script);
+  });
+  return window;
+}
+
+// Returns { window, document, app, fake, global }; global(name) reads a top-level class or constant of the scripts.
+// storage seeds localStorage before the app starts.
+async function loadApp(fixtures = null, { storage = {} } = {}) {
+  const window = await loadWindow();
+  Object.entries(storage).forEach(([key, value]) => window.localStorage.setItem(key, value));
+  const global = (name) => window.eval(name);
+  const fake = new (global("FakeGitHub"))(fixtures || global("DEMO_FIXTURES"));
+  const app = new (global("ReleaseApp"))({ transport: fake.transport });
+  return { window, document: window.document, app, fake, global };
+}
+
+// Analyzes the repo and waits for the release checks it starts
+async function analyze(env, repoName = env.global("DEMO_REPO")) {
+  env.document.getElementById("repo-input").value = repoName;
+  await env.app.analyzeRepo();
+  await env.app.checkQueue;
+}
+
+// Lets queued check runs finish first, since they render into the document
+async function close(env) {
+  env.app.stopCIPolling();
+  env.app.stopAutoRefresh();
+  await env.app.checkQueue;
+  env.window.close();
+}
+
+// Puts the v1.2.5 release branch of the demo repo in place, cut from the v1.3.x-vscode base with bumped version files
+function createReleaseBranch(demo, version = "1.2.5") {
+  const sha = demo.branches["v1.3.x-vscode"];
+  demo.branches["v1.2.5-vscode-release"] = sha;
+  demo.files["v1.2.5-vscode-release"] = Object.fromEntries(
+    Object.entries(demo.files["v1.3.x-vscode"]).map(([path, text]) => [path, text.replaceAll("1.3.1", version)])
+  );
+  return sha;
+}
+
+// Publishes a stable release of the demo repo with every platform's package uploaded
+function publishRelease(demo, tagName, options = {}) {
+  const version = tagName.replace(/^v|-vscode$/g, "");
+  const platforms = ["linux-x64", "linux-arm64", "darwin-x64", "darwin-arm64", "win32-x64", "win32-arm64"];
+  demo.releases.unshift({
+    tag_name: tagName,
+    name: tagName,
+    draft: false,
+    prerelease: false,
+    published_at: new Date().toISOString(),
+    html_url: `https://github.com/demo/continue/releases/tag/${tagName}`,
+    author: { login: "bob" },
+    assets: platforms.map((platform) => ({
+      name: `continue-${version}-${platform}.vsix`,
+      state: "uploaded",
+      size: 1024,
+      download_count: 3,
+      browser_download_url: `https://example.test/continue-${version}-${platform}.vsix`,
+    })),
+    ...options,
+  });
+}
+
+// "success", "danger", "pending" or "error", plus the rendered message
+function checkState(document, id) {
+  const element = document.getElementById(id);
+  const state = ["success", "danger", "pending", "error"].find((name) => element.classList.contains(name)) || null;
+  return { state, text: element.textContent.replace(/\s+/g, " ").trim() };
+}
+
+module.exports = { loadWindow, loadApp, analyze, close, checkState, createReleaseBranch, publishRelease };
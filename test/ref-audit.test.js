@@ -0,0 +1,65 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, analyze, close } = require("./helpers");
+
+// The demo targets v1.2.5; its latest stable release is v1.2.4-vscode, below the v1.3.1-vscode pre-release
+let env;
+let demo;
+
+beforeEach(async () => {
+  env = await loadApp();
+  demo = env.fake.repos[env.global("DEMO_REPO")];
+  await analyze(env);
+});
+
+afterEach(() => close(env));
+
+async function auditFindings() {
+  await env.app.runRefAudit();
+  return [...env.document.querySelectorAll("#ref-audit-findings .audit-finding")].map((finding) => ({
+    message: finding.firstChild.textContent,
+    command: finding.querySelector(".command").textContent,
+  }));
+}
+
+test("release branches without a release are only suggested for deletion once a newer version is released", async () => {
+  const sha = demo.branches["v1.3.x-vscode"];
+  Object.assign(demo.branches, {
+    "v1.1.9-vscode-release": sha,
+    "v1.2.5-vscode-release": sha,
+    "v1.2.6-vscode-release": sha,
+    "v1.4.0-vscode-release": sha,
+  });
+
+  const findings = await auditFindings();
+  const findingFor = (branch) => findings.find((finding) => finding.message.includes(`branch ${branch} `));
+
+  assert.deepEqual(findingFor("v1.1.9-vscode-release"), {
+    message: "⚠️ Release branch v1.1.9-vscode-release has no GitHub release v1.1.9-vscode",
+    command: "git push origin --delete v1.1.9-vscode-release",
+  });
+  ["v1.2.5", "v1.2.6", "v1.4.0"].forEach((version) => {
+    const finding = findingFor(`${version}-vscode-release`);
+    assert.match(finding.message, new RegExp(`is not released yet; create the release ${version}-vscode`));
+    assert.equal(finding.command, `gh release create ${version}-vscode --target ${version}-vscode-release`);
+  });
+});
+
+test("tags without a release are only suggested for deletion once a newer version is released", async () => {
+  const sha = demo.branches["v1.3.x-vscode"];
+  Object.assign(demo.tags, { "v1.1.9-vscode": sha, "v1.2.5-vscode": sha, "v1.2.6-vscode": sha });
+
+  const findings = await auditFindings();
+  const findingFor = (tag) => findings.find((finding) => finding.message.includes(`Tag ${tag} `));
+
+  assert.deepEqual(findingFor("v1.1.9-vscode"), {
+    message: "⚠️ Tag v1.1.9-vscode has no GitHub release",
+    command: "git push origin --delete refs/tags/v1.1.9-vscode",
+  });
+  ["v1.2.5-vscode", "v1.2.6-vscode"].forEach((tag) => {
+    assert.deepEqual(findingFor(tag), {
+      message: `⚠️ Tag ${tag} is not released yet; create its release once it's ready`,
+      command: `gh release create ${tag}`,
+    });
+  });
+});
@@ -0,0 +1,380 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, analyze, close, checkState, createReleaseBranch, publishRelease } = require("./helpers");
+
+// Every test starts from the demo repository: stable v1.2.4-vscode, pre-release v1.3.1-vscode, next patch v1.2.5
+let env;
+let demo;
+
+beforeEach(async () => {
+  env = await loadApp();
+  demo = env.fake.repos[env.global("DEMO_REPO")];
+  await analyze(env);
+});
+
+afterEach(() => close(env));
+
+async function rerunChecks(version = "v1.2.5") {
+  await env.app.refreshReleases();
+  await env.app.checkReleaseSteps(version);
+}
+
+test("getNextPatchVersion strips the profile suffix and bumps the patch", () => {
+  assert.equal(env.app.getNextPatchVersion("v1.2.4-vscode"), "v1.2.5");
+  assert.equal(env.app.getNextPatchVersion("v1.2.9"), "v1.2.10");
+
+  env.app.profileId = "jetbrains";
+  assert.equal(env.app.getNextPatchVersion("v1.0.3-jetbrains"), "v1.0.4");
+});
+
+test("analysis targets the next patch of the latest stable release", () => {
+  assert.equal(env.document.getElementById("latest-release").textContent, "v1.2.4-vscode");
+  assert.equal(env.document.getElementById("target-release-version").value, "v1.2.5");
+});
+
+test("a target that is already tagged warns, even before its release is published", async () => {
+  const { document } = env;
+  const warning = () => document.getElementById("target-version-warning").textContent;
+  document.getElementById("target-release-version").value = "v1.2.5";
+  await env.app.validateVersion();
+  assert.equal(warning(), "");
+
+  demo.tags["v1.2.5-vscode"] = demo.branches["v1.3.x-vscode"];
+  await env.app.validateVersion();
+  assert.equal(warning(), "⚠️ v1.2.5-vscode already exists as a tag, without a GitHub release");
+
+  publishRelease(demo, "v1.2.5-vscode");
+  await env.app.refreshReleases();
+  await env.app.validateVersion();
+  assert.equal(warning(), "⚠️ v1.2.5-vscode already exists");
+});
+
+test("generateReleaseSteps fills in the commands and links for the target", () => {
+  const { document } = env;
+  env.app.generateReleaseSteps("v1.2.7");
+
+  // The base is the pre-release being promoted, picked in "From Pre-release Version"
+  assert.equal(
+    document.getElementById("create-release-branch-command").textContent,
+    "git checkout -b v1.2.7-vscode-release v1.3.1-vscode"
+  );
+  assert.equal(
+    document.getElementById("push-release-branch-command").textContent,
+    "git push origin v1.2.7-vscode-release"
+  );
+  assert.equal(document.getElementById("target-version").textContent, "1.2.7");
+  assert.equal(
+    document.getElementById("manifest-path").textContent,
+    "extensions/vscode/package.json, extensions/vscode/package-lock.json"
+  );
+  assert.equal(document.querySelectorAll("#version-file-checks .check-item").length, 3);
+  assert.equal(document.querySelectorAll("#release-asset-checks .check-item").length, 6);
+  assert.deepEqual(
+    [...document.querySelectorAll("#release-steps .step-group h4")].map((heading) => heading.textContent),
+    [...env.global("DEFAULT_RELEASE_STEPS")].map((step, index) => `Step ${index + 1}: ${step.title}`)
+  );
+
+  const releaseURL = new URL(document.getElementById("create-release-link").href);
+  assert.equal(releaseURL.pathname, "/demo/continue/releases/new");
+  assert.equal(releaseURL.searchParams.get("tag"), "v1.2.7-vscode");
+  assert.equal(releaseURL.searchParams.get("target"), "v1.2.7-vscode-release");
+  assert.match(
+    document.querySelector(".github-release-instructions .step-instruction").textContent,
+    /Previous tag: v1\.2\.4-vscode/
+  );
+});
+
+test("checks fail while the release branch and release are missing", () => {
+  const { document } = env;
+  assert.equal(checkState(document, "release-branch-exists-check").state, "danger");
+  document.querySelectorAll("#version-file-checks .check-item").forEach((item) => {
+    assert.equal(checkState(document, item.id).state, "danger");
+  });
+  assert.deepEqual(checkState(document, "ci-status-check"), { state: "danger", text: "❌ Release branch missing" });
+  assert.equal(checkState(document, "github-release-published-check").state, "danger");
+});
+
+test("checks pass once the branch is bumped, CI is green and the release is published", async () => {
+  const { document } = env;
+  createReleaseBranch(demo);
+  publishRelease(demo, "v1.2.5-vscode");
+  await rerunChecks();
+
+  assert.equal(checkState(document, "release-branch-exists-check").state, "success");
+  document.querySelectorAll("#version-file-checks .check-item").forEach((item) => {
+    assert.equal(checkState(document, item.id).state, "success", item.textContent);
+  });
+  assert.match(checkState(document, "ci-status-check").text, /All 2 required check\(s\) passed/);
+  assert.equal(checkState(document, "ci-status-check").state, "success");
+  assert.equal(checkState(document, "github-release-published-check").state, "success");
+});
+
+test("the assets of a published release show their size and downloads", async () => {
+  const { document } = env;
+  env.app.generateReleaseSteps("v1.2.4");
+  await env.app.checkReleaseSteps("v1.2.4");
+
+  assert.deepEqual(checkState(document, "release-asset-checks-0"), {
+    state: "success",
+    text: "✅ continue-1.2.4-linux-x64.vsix · 48.0 MB · 720 download(s)",
+  });
+});
+
+test("version files that still carry the old version fail", async () => {
+  const { document } = env;
+  createReleaseBranch(demo, "1.3.1");
+  await rerunChecks();
+
+  assert.equal(checkState(document, "release-branch-exists-check").state, "success");
+  document.querySelectorAll("#version-file-checks .check-item").forEach((item) => {
+    assert.equal(checkState(document, item.id).state, "danger");
+  });
+});
+
+test("the bump action commits the version to every version file that needs it", async () => {
+  const { document } = env;
+  createReleaseBranch(demo, "1.3.1");
+  await rerunChecks();
+  assert.equal(document.getElementById("bump-version-action").disabled, false);
+
+  env.window.confirm = () => true;
+  await env.app.commitVersionBump();
+
+  Object.entries(demo.files["v1.2.5-vscode-release"]).forEach(([path, text]) => {
+    assert.ok(text.includes('"version": "1.2.5"') && !text.includes("1.3.1"), path);
+  });
+  document.querySelectorAll("#version-file-checks .check-item").forEach((item) => {
+    assert.equal(checkState(document, item.id).state, "success", item.textContent);
+  });
+  assert.equal(document.getElementById("bump-version-action").disabled, true);
+});
+
+test("CI that is still running leaves the CI check pending", async () => {
+  const sha = createReleaseBranch(demo);
+  demo.checkRuns[sha][1] = { name: "test", status: "in_progress", conclusion: null, html_url: "https://ci.test/1" };
+  await rerunChecks();
+  env.app.stopCIPolling();
+
+  assert.deepEqual(checkState(env.document, "ci-status-check"), {
+    state: "pending",
+    text: `⏳ 1 required check(s) pending on ${sha.slice(0, 7)}`,
+  });
+});
+
+test("required checks that haven't reported yet leave the CI check pending and block publishing", async () => {
+  const sha = createReleaseBranch(demo);
+  demo.protection = { "v1.2.5-vscode-release": { required_status_checks: { contexts: ["build", "test"] } } };
+  demo.checkRuns[sha] = [];
+  await rerunChecks();
+  env.app.stopCIPolling();
+
+  const pending = { state: "pending", text: `⏳ 2 required check(s) pending on ${sha.slice(0, 7)}` };
+  assert.deepEqual(checkState(env.document, "ci-status-check"), pending);
+  assert.equal(env.document.getElementById("publish-release-action").disabled, true);
+
+  // A check outside the required ones doesn't stand in for them
+  demo.checkRuns[sha] = [{ name: "lint", status: "completed", conclusion: "success", html_url: "https://ci.test/2" }];
+  await rerunChecks();
+  env.app.stopCIPolling();
+  assert.deepEqual(checkState(env.document, "ci-status-check"), pending);
+});
+
+test("a draft or pre-release for a stable promotion fails the release check", async () => {
+  publishRelease(demo, "v1.2.5-vscode", { draft: true, published_at: null });
+  await rerunChecks();
+  assert.match(checkState(env.document, "github-release-published-check").text, /is still a draft/);
+
+  demo.releases.shift();
+  publishRelease(demo, "v1.2.5-vscode", { prerelease: true });
+  await rerunChecks();
+  assert.match(checkState(env.document, "github-release-published-check").text, /marked as a pre-release/);
+});
+
+test("API failures show an error with a retry instead of reporting things missing", async () => {
+  const { document, fake } = env;
+  createReleaseBranch(demo);
+  fake.fail(/branches\/v1\.2\.5-vscode-release/, 502);
+  await rerunChecks();
+
+  for (const id of ["release-branch-exists-check", "ci-status-check"]) {
+    assert.equal(checkState(document, id).state, "error");
+    assert.match(checkState(document, id).text, /Could not check: GitHub API error: 502/);
+  }
+  assert.equal(document.getElementById("publish-release-action").disabled, true);
+
+  // Retrying after GitHub recovers re-runs the checks
+  fake.failures = [];
+  document.querySelector("#release-branch-exists-check .check-retry").click();
+  await env.app.checkQueue;
+  assert.equal(checkState(document, "release-branch-exists-check").state, "success");
+});
+
+test("a check run that fails part-way shows the error on the checks it didn't get to", async () => {
+  const { document } = env;
+  const renderReleaseCheck = env.app.renderReleaseCheck;
+  env.app.renderReleaseCheck = () => {
+    throw new Error("Rendering failed");
+  };
+  await rerunChecks();
+
+  assert.equal(checkState(document, "release-branch-exists-check").state, "danger");
+  assert.deepEqual(checkState(document, "github-release-published-check"), {
+    state: "error",
+    text: "⚠️ Could not check: Rendering failed Retry",
+  });
+
+  env.app.renderReleaseCheck = renderReleaseCheck;
+  document.querySelector("#github-release-published-check .check-retry").click();
+  await env.app.checkQueue;
+  assert.equal(checkState(document, "github-release-published-check").state, "danger");
+});
+
+test("network failures are reported as errors too", async () => {
+  env.fake.fail(/check-runs|\/status$/, null);
+  createReleaseBranch(demo);
+  await rerunChecks();
+
+  assert.match(checkState(env.document, "ci-status-check").text, /Could not check: Could not reach GitHub/);
+  assert.equal(checkState(env.document, "release-branch-exists-check").state, "success");
+});
+
+test("release notes are cleared when the target changes and never published for another tag", async () => {
+  const { document } = env;
+  env.window.confirm = () => true;
+  await env.app.generateNotesPreview();
+  assert.match(document.getElementById("release-notes-input").value, /v1\.2\.4-vscode\.\.\.v1\.2\.5-vscode/);
+
+  document.getElementById("target-release-version").value = "v1.2.6";
+  await env.app.validateVersion();
+  await env.app.checkQueue;
+  assert.equal(document.getElementById("release-notes-input").value, "");
+  assert.ok(document.getElementById("release-notes-editor").classList.contains("hidden"));
+
+  // Notes that didn't come from generating them for this tag are refused
+  document.getElementById("release-notes-input").value = "Notes for v1.2.5";
+  await env.app.createRelease(true);
+  assert.match(document.getElementById("release-action-error").textContent, /not written for v1\.2\.6-vscode/);
+  assert.equal(demo.releases[0].tag_name, "v1.3.1-vscode");
+
+  await env.app.generateNotesPreview();
+  await env.app.createRelease(true);
+  assert.equal(demo.releases[0].tag_name, "v1.2.6-vscode");
+  assert.match(demo.releases[0].body, /v1\.2\.4-vscode\.\.\.v1\.2\.6-vscode/);
+});
+
+test("cherry-pick candidates find their pull request by commit, however long ago it was merged", async () => {
+  const { document, fake } = env;
+  const pull = demo.pulls[0];
+  demo.compare[`${env.app.getBaseRef("v1.2.5")}...main`] = {
+    status: "ahead",
+    total_commits: 2,
+    commits: [
+      { sha: pull.merge_commit_sha, commit: { message: "fix: autocomplete flicker on Windows (#418)" } },
+      { sha: "f".repeat(40), commit: { message: "chore: bump dependencies" } },
+    ],
+  };
+  env.app.api.setToken("ghp_test");
+  document.getElementById("cherry-pick-label-filter").value = "bug";
+  fake.requests = [];
+  await env.app.findCherryPickCandidates();
+
+  assert.equal(document.getElementById("cherry-pick-status").textContent, "2 commit(s) on main since v1.3.1-vscode");
+  const candidates = env.app.getFilteredCherryPickCandidates();
+  assert.deepEqual(
+    [...candidates].map((candidate) => candidate.pull.number),
+    [418]
+  );
+  const paths = fake.requests.map(({ url }) => new URL(url).pathname);
+  assert.ok(paths.includes(`/repos/demo/continue/commits/${pull.merge_commit_sha}/pulls`));
+  assert.ok(!paths.includes("/repos/demo/continue/pulls"));
+});
+
+test("the promotion summary finds pull requests by commit, even when the message doesn't name them", async () => {
+  const { document } = env;
+  const commit = demo.compare["v1.2.4-vscode...v1.3.1-vscode"].commits[1];
+  commit.commit.message = "Fix autocomplete flicker on Windows";
+  demo.pulls[0].merge_commit_sha = commit.sha;
+  env.app.api.setToken("ghp_test");
+  await env.app.renderPromotionSummary();
+
+  const pulls = [...document.querySelectorAll("#promotion-summary-body li")].map((li) => li.textContent);
+  assert.ok(pulls.includes("#418 fix: autocomplete flicker on Windows bug"), pulls.join("\n"));
+});
+
+test("an auto-refresh that finishes after another repo was analyzed leaves that repo's releases alone", async () => {
+  const { fake } = env;
+  fake.repos["demo/other"] = { ...JSON.parse(JSON.stringify(demo)), releases: demo.releases.slice(1, 2) };
+
+  // Hold the refresh's release listing until the other repo is analyzed
+  const handle = fake.handle.bind(fake);
+  let releaseRefresh;
+  const refreshHeld = new Promise((resolve) => (releaseRefresh = resolve));
+  fake.handle = async (url, init) => {
+    if (url.includes("/repos/demo/continue/releases?")) {
+      await refreshHeld;
+    }
+    return handle(url, init);
+  };
+
+  const refresh = env.app.autoRefresh();
+  await analyze(env, "demo/other");
+  releaseRefresh();
+  await refresh;
+  await env.app.checkQueue;
+
+  assert.deepEqual(
+    [...env.app.releases].map((release) => release.tag_name),
+    ["v1.2.4-vscode"]
+  );
+  assert.equal(env.document.getElementById("latest-release").textContent, "v1.2.4-vscode");
+  assert.equal(env.document.getElementById("latest-prerelease").textContent, "No pre-releases");
+});
+
+test("the promotion summary looks up a bounded number of commits and names the other PRs by their message", async () => {
+  const { document, fake } = env;
+  const comparison = demo.compare["v1.2.4-vscode...v1.3.1-vscode"];
+  comparison.commits = Array.from({ length: 40 }, (_, index) => ({
+    sha: String(index).padStart(40, "e"),
+    author: { login: "alice" },
+    commit: { message: `fix: change ${index} (#${500 + index})`, author: { name: "alice" } },
+  }));
+  comparison.total_commits = 40;
+  env.app.api.setToken("ghp_test");
+  fake.requests = [];
+  await env.app.renderPromotionSummary();
+
+  assert.equal(fake.requests.filter(({ url }) => /\/commits\/\w+\/pulls$/.test(url)).length, 30);
+  const text = document.getElementById("promotion-summary-body").textContent;
+  assert.match(text, /Pull requests \(40\)/);
+  assert.match(text, /PR labels looked up for the first 30 commits only/);
+});
+
+test("cherry-pick candidates look up a bounded number of pull requests", async () => {
+  const { document, fake } = env;
+  const commits = Array.from({ length: 40 }, (_, index) => ({
+    sha: String(index).padStart(40, "d"),
+    commit: { message: `fix: change ${index} (#${600 + index})` },
+  }));
+  demo.compare[`${env.app.getBaseRef("v1.2.5")}...main`] = { status: "ahead", total_commits: 40, commits };
+  env.app.api.setToken("ghp_test");
+  fake.requests = [];
+  await env.app.findCherryPickCandidates();
+
+  assert.equal(fake.requests.filter(({ url }) => /\/commits\/\w+\/pulls$/.test(url)).length, 30);
+  assert.equal(
+    document.getElementById("cherry-pick-status").textContent,
+    "40 commit(s) on main since v1.3.1-vscode · PR labels looked up for the first 30 commits only"
+  );
+  assert.equal(env.app.cherryPickCandidates[39].pullNumber, 639);
+});
+
+test("release notes built locally say when the compare range was cut short", async () => {
+  demo.compare["v1.2.4-vscode...v1.3.1-vscode"].total_commits = 1200;
+  await env.app.generateNotesPreview();
+
+  assert.equal(
+    env.document.getElementById("release-notes-source").textContent,
+    "Built locally from only the first 3 of 1200 commits between v1.2.4-vscode and v1.3.1-vscode"
+  );
+  assert.match(env.document.getElementById("release-notes-input").value, /autocomplete flicker on Windows/);
+});
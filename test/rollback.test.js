@@ -0,0 +1,127 @@
+const { test, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, analyze, close, checkState } = require("./helpers");
+
+// The demo's latest stable release, v1.2.4-vscode, plays the broken release; v1.2.3-vscode is the last good one
+let env;
+let demo;
+
+beforeEach(async () => {
+  env = await loadApp();
+  demo = env.fake.repos[env.global("DEMO_REPO")];
+  env.window.confirm = () => true;
+  env.window.HTMLElement.prototype.scrollIntoView = () => {};
+  await analyze(env);
+});
+
+afterEach(() => close(env));
+
+test("defaults to rolling the latest stable release back to the one before it", () => {
+  const { document } = env;
+  assert.equal(document.getElementById("rollback-bad-release").value, "v1.2.4-vscode");
+  assert.equal(document.getElementById("rollback-good-release").value, "v1.2.3-vscode");
+  assert.equal(
+    document.getElementById("rollback-prerelease-command").textContent,
+    "gh release edit v1.2.4-vscode --prerelease"
+  );
+  assert.equal(
+    document.getElementById("rollback-latest-command").textContent,
+    "gh release edit v1.2.3-vscode --latest"
+  );
+  assert.equal(
+    document.getElementById("rollback-branch-command").textContent,
+    "git checkout -b v1.2.5-vscode-release v1.2.3-vscode && git push origin v1.2.5-vscode-release"
+  );
+
+  assert.match(
+    checkState(document, "rollback-demote-check").text,
+    /v1\.2\.4-vscode is still published as a stable release/
+  );
+  assert.deepEqual(checkState(document, "rollback-latest-check"), {
+    state: "danger",
+    text: "❌ Latest release is v1.2.4-vscode, expected v1.2.3-vscode",
+  });
+  assert.equal(checkState(document, "rollback-branch-exists-check").state, "danger");
+  assert.match(checkState(document, "rollback-release-check").text, /v1\.2\.5-vscode not found/);
+});
+
+test("the API actions walk through the rollback and keep the demoted release selected", async () => {
+  const { document } = env;
+  await env.app.demoteRelease({ prerelease: true });
+
+  assert.equal(document.getElementById("rollback-bad-release").value, "v1.2.4-vscode");
+  assert.match(document.getElementById("rollback-bad-release").selectedOptions[0].textContent, /\(pre-release\)/);
+  assert.match(checkState(document, "rollback-demote-check").text, /marked as a pre-release/);
+  // Demoting the latest release lets GitHub fall back to the newest stable one
+  assert.equal(checkState(document, "rollback-latest-check").state, "success");
+  assert.equal(document.getElementById("latest-release").textContent, "v1.2.3-vscode");
+
+  await env.app.createEmergencyBranch();
+  assert.equal(demo.branches["v1.2.5-vscode-release"], demo.tags["v1.2.3-vscode"]);
+  assert.equal(checkState(document, "rollback-branch-exists-check").state, "success");
+  document.querySelectorAll("#rollback-version-file-checks .check-item").forEach((item) => {
+    assert.equal(checkState(document, item.id).state, "danger");
+  });
+
+  // The promotion flow takes over the patch, based on the good tag
+  env.app.continueInPromotionFlow();
+  await env.app.checkQueue;
+  assert.equal(document.getElementById("target-release-version").value, "v1.2.5");
+  assert.equal(
+    document.getElementById("create-release-branch-command").textContent,
+    "git checkout -b v1.2.5-vscode-release v1.2.3-vscode"
+  );
+  assert.equal(checkState(document, "release-branch-exists-check").state, "success");
+});
+
+test("rolling back to an older good release re-points latest explicitly", async () => {
+  const { document } = env;
+  document.getElementById("rollback-good-release").value = "v1.2.2-vscode";
+  env.app.generateRollbackSteps();
+  await env.app.demoteRelease({ draft: true });
+
+  assert.match(checkState(document, "rollback-demote-check").text, /reverted to a draft/);
+  assert.match(checkState(document, "rollback-latest-check").text, /is v1\.2\.3-vscode, expected v1\.2\.2-vscode/);
+
+  await env.app.markLatestRelease();
+  assert.equal(demo.latest, "v1.2.2-vscode");
+  assert.equal(checkState(document, "rollback-latest-check").state, "success");
+  assert.equal(document.getElementById("rollback-good-release").value, "v1.2.2-vscode");
+});
+
+test("a failing latest-release lookup shows an error with a retry", async () => {
+  const { document, fake } = env;
+  fake.fail(/releases\/latest/, 502);
+  await env.app.checkRollbackSteps();
+  assert.match(checkState(document, "rollback-latest-check").text, /Could not check: GitHub API error: 502/);
+
+  fake.failures = [];
+  document.querySelector("#rollback-latest-check .check-retry").click();
+  await env.app.checkQueue;
+  assert.equal(checkState(document, "rollback-latest-check").state, "danger");
+});
+
+test("a failing refresh after a rollback action is reported along with the action's success", async () => {
+  const { document, fake } = env;
+  fake.fail(/\/releases\?/, 502);
+  await env.app.demoteRelease({ prerelease: true });
+
+  assert.equal(demo.releases.find((release) => release.tag_name === "v1.2.4-vscode").prerelease, true);
+  assert.match(
+    document.getElementById("rollback-action-error").textContent,
+    /^Mark as pre-release via API succeeded\. Refreshing the checks afterwards failed: GitHub API error: 502/
+  );
+  assert.ok(document.getElementById("rollback-action-error").classList.contains("show"));
+});
+
+test("a release missing from the loaded releases is reported instead of edited", async () => {
+  const { document, fake } = env;
+  env.app.releases = env.app.releases.filter((release) => release.tag_name !== "v1.2.3-vscode");
+  await env.app.markLatestRelease();
+
+  assert.ok(!fake.requests.some(({ method }) => method === "PATCH"));
+  assert.match(
+    document.getElementById("rollback-action-error").textContent,
+    /^Mark as latest via API failed: release v1\.2\.3-vscode is not in the loaded releases; reload the repository/
+  );
+});
@@ -0,0 +1,74 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadApp, close } = require("./helpers");
+
+// A token saved before tokens were kept per server, which now belongs to GitHub.com
+const storage = { "release-man:github-token": "ghp_saved" };
+let env;
+
+afterEach(() => close(env));
+
+// The distinct Authorization headers sent to each API origin, in order
+function tokensByOrigin(fake) {
+  const tokens = {};
+  fake.requests.forEach(({ url, headers }) => {
+    const origin = new URL(url).origin;
+    const token = headers.Authorization || null;
+    tokens[origin] = tokens[origin] || [];
+    if (!tokens[origin].includes(token)) {
+      tokens[origin].push(token);
+    }
+  });
+  return tokens;
+}
+
+async function openLink(query, confirmed) {
+  env = await loadApp(null, { storage });
+  env.window.confirm = () => confirmed;
+  env.window.history.replaceState(null, "", `/?${query}`);
+  await env.app.restoreFromURL();
+  await env.app.checkQueue;
+}
+
+test("the saved token is migrated to GitHub.com and used there", async () => {
+  await openLink("repo=demo/continue", false);
+
+  assert.equal(env.window.localStorage.getItem("release-man:github-token"), null);
+  assert.equal(env.window.localStorage.getItem("release-man:github-token:https://api.github.com"), "ghp_saved");
+  assert.deepEqual(tokensByOrigin(env.fake), { "https://api.github.com": ["token ghp_saved"] });
+});
+
+test("a server from a link is used without the token once confirmed", async () => {
+  await openLink("repo=demo/continue&server=https://evil.example", true);
+
+  assert.deepEqual(tokensByOrigin(env.fake), { "https://evil.example": [null] });
+  assert.equal(env.document.getElementById("token-input").value, "");
+  assert.match(env.document.getElementById("token-status").textContent, /No token set for evil\.example/);
+});
+
+test("a server from a link or a pasted URL is not contacted unless confirmed", async () => {
+  await openLink("repo=demo/continue&api=https://evil.example/api/v3", false);
+  assert.equal(env.fake.requests.length, 0);
+  assert.match(env.document.getElementById("repo-error").textContent, /not confirmed/);
+
+  env.document.getElementById("repo-input").value = "https://evil.example/demo/continue";
+  await env.app.analyzeRepo();
+  assert.equal(env.fake.requests.length, 0);
+});
+
+test("a token saved for a server in Settings is only sent to that server", async () => {
+  await openLink("repo=demo/continue", false);
+  const ServerUtils = env.global("ServerUtils");
+  await env.app.analyzeRepo({ server: ServerUtils.resolve("https://ghe.example") });
+  env.document.getElementById("token-input").value = "ghe_token";
+  await env.app.saveToken();
+
+  await env.app.analyzeRepo({ server: ServerUtils.resolve("https://github.com") });
+  assert.equal(env.document.getElementById("token-input").value, "ghp_saved");
+  await env.app.checkQueue;
+
+  assert.deepEqual(tokensByOrigin(env.fake), {
+    "https://api.github.com": ["token ghp_saved"],
+    "https://ghe.example": [null, "token ghe_token"],
+  });
+});
@@ -0,0 +1,47 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { loadWindow } = require("./helpers");
+
+let window;
+let VersionUtils;
+
+before(async () => {
+  window = await loadWindow();
+  VersionUtils = window.eval("VersionUtils");
+});
+
+after(() => window.close());
+
+test("parse splits core, pre-release and build parts", () => {
+  // Objects from the jsdom realm have different prototypes, so compare plain copies
+  assert.deepEqual(JSON.parse(JSON.stringify(VersionUtils.parse("v1.2.3-rc.1+build.5"))), {
+    major: 1,
+    minor: 2,
+    patch: 3,
+    prerelease: ["rc", "1"],
+    build: ["build", "5"],
+  });
+  assert.equal(VersionUtils.parse("1.2"), null);
+  assert.equal(VersionUtils.parse("v1.2.3-vscode").prerelease[0], "vscode");
+});
+
+test("isValidSemver accepts an optional v prefix", () => {
+  assert.equal(VersionUtils.isValidSemver("v1.2.3"), true);
+  assert.equal(VersionUtils.isValidSemver("1.2.3"), true);
+  assert.equal(VersionUtils.isValidSemver("release-1.2.3"), false);
+});
+
+test("compare follows semver precedence", () => {
+  assert.ok(VersionUtils.compare("1.2.10", "1.2.9") > 0);
+  assert.ok(VersionUtils.compare("1.3.0", "1.2.99") > 0);
+  assert.ok(VersionUtils.compare("1.2.3", "1.2.3-rc.1") > 0);
+  assert.ok(VersionUtils.compare("1.2.3-rc.2", "1.2.3-rc.10") < 0);
+  assert.ok(VersionUtils.compare("1.2.3-1", "1.2.3-alpha") < 0);
+  assert.equal(VersionUtils.compare("v1.2.3+a", "1.2.3+b"), 0);
+});
+
+test("increment bumps one part and resets the lower ones", () => {
+  assert.equal(VersionUtils.increment("1.2.3", "patch"), "v1.2.4");
+  assert.equal(VersionUtils.increment("v1.2.3", "minor"), "v1.3.0");
+  assert.equal(VersionUtils.increment("1.2.3", "major"), "v2.0.0");
+});